@@ -0,0 +1,454 @@
+// backend/callTrace.js
+const http = require('http');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+const CALL_OPS = new Set(['CALL', 'CALLCODE', 'DELEGATECALL', 'STATICCALL']);
+const CREATE_OPS = new Set(['CREATE', 'CREATE2']);
+
+// Memory offsets beyond this are treated as out-of-gas garbage and ignored
+const MAX_MEMORY_OFFSET = 64 * 1024 * 1024;
+
+/**
+ * Streams the struct logs of a traced transaction or call from a Hardhat node, one step at a time.
+ * Hardhat only supports the default struct logger, and for large attacks the response
+ * is hundreds of megabytes, so it is never materialised as a whole.
+ *
+ * @param {string} rpcUrl - JSON-RPC endpoint of the node.
+ * @param {string} method - debug_traceTransaction or debug_traceCall.
+ * @param {Array} params - Method parameters, without the tracer options.
+ * @param {function} onStep - Async callback invoked for every struct log, in order.
+ * @returns {Promise<object>} The trace envelope ({ failed, gas, returnValue }) without structLogs.
+ */
+function streamStructLogs(rpcUrl, method, params, onStep) {
+  const body = JSON.stringify({
+    jsonrpc: '2.0',
+    id: 1,
+    method,
+    params: [...params, { disableStorage: true, disableMemory: true }]
+  });
+
+  return new Promise((resolve, reject) => {
+    const req = http.request(rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
+    }, async (res) => {
+      // Minimal JSON splitter: text outside the structLogs array is collected into `outer`,
+      // every object directly inside it is parsed on its own and handed to onStep.
+      const containers = [];
+      let inString = false;
+      let escaped = false;
+      let mode = 'outer'; // 'outer' | 'gap' (between steps) | 'step'
+      let outer = '';
+      let stepText = '';
+
+      try {
+        res.setEncoding('utf8');
+        for await (const text of res) {
+          const steps = [];
+          let segmentStart = 0;
+          const flush = (end) => {
+            if (mode === 'outer') outer += text.slice(segmentStart, end);
+            else if (mode === 'step') stepText += text.slice(segmentStart, end);
+            segmentStart = end;
+          };
+
+          for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (inString) {
+              if (escaped) escaped = false;
+              else if (ch === '\\') escaped = true;
+              else if (ch === '"') inString = false;
+              continue;
+            }
+            if (ch === '"') {
+              inString = true;
+            } else if (ch === '{' || ch === '[') {
+              if (mode === 'gap') {
+                flush(i);
+                mode = 'step';
+              }
+              containers.push(ch);
+              // root { result { structLogs [
+              if (mode === 'outer' && containers.length === 3 && ch === '[') {
+                flush(i + 1);
+                mode = 'gap';
+              }
+            } else if (ch === '}' || ch === ']') {
+              containers.pop();
+              if (mode === 'step' && containers.length === 3) {
+                flush(i + 1);
+                steps.push(stepText);
+                stepText = '';
+                mode = 'gap';
+              } else if (mode === 'gap' && containers.length === 2) {
+                flush(i);
+                mode = 'outer';
+              }
+            }
+          }
+          flush(text.length);
+
+          for (const stepJson of steps) {
+            await onStep(JSON.parse(stepJson));
+          }
+        }
+
+        const envelope = JSON.parse(outer);
+        if (envelope.error) {
+          throw new Error(envelope.error.message || `${method} failed`);
+        }
+        resolve(envelope.result);
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Sparse, growable EVM memory for one call frame
+function createMemory() {
+  let buffer = Buffer.alloc(0);
+
+  function ensure(size) {
+    if (size <= buffer.length) return;
+    const grown = Buffer.alloc(Math.max(size, buffer.length * 2));
+    buffer.copy(grown);
+    buffer = grown;
+  }
+
+  return {
+    write(offset, data) {
+      if (data.length === 0 || offset > MAX_MEMORY_OFFSET) return;
+      ensure(offset + data.length);
+      data.copy(buffer, offset);
+    },
+    read(offset, length) {
+      if (length === 0 || offset > MAX_MEMORY_OFFSET || length > MAX_MEMORY_OFFSET) return Buffer.alloc(0);
+      const out = Buffer.alloc(length);
+      if (offset < buffer.length) {
+        buffer.copy(out, 0, offset, Math.min(buffer.length, offset + length));
+      }
+      return out;
+    }
+  };
+}
+
+// Copy `size` bytes of `source` starting at `offset`, zero-padded like the EVM does
+function sliceZeroPadded(source, offset, size) {
+  if (size > MAX_MEMORY_OFFSET) return Buffer.alloc(0);
+  const out = Buffer.alloc(size);
+  if (offset < source.length) {
+    source.copy(out, 0, offset, Math.min(source.length, offset + size));
+  }
+  return out;
+}
+
+// Stack items are 32-byte hex words without 0x prefix; the top of the stack is the last element
+function stackWord(step, indexFromTop) {
+  return BigInt('0x' + (step.stack[step.stack.length - 1 - indexFromTop] || '0'));
+}
+
+function stackNumber(step, indexFromTop) {
+  const value = stackWord(step, indexFromTop);
+  return value > BigInt(MAX_MEMORY_OFFSET) ? MAX_MEMORY_OFFSET + 1 : Number(value);
+}
+
+function stackAddress(step, indexFromTop) {
+  const hex = stackWord(step, indexFromTop).toString(16).padStart(64, '0');
+  return ethers.utils.getAddress('0x' + hex.slice(24));
+}
+
+function wordBuffer(value) {
+  return Buffer.from(value.toString(16).padStart(64, '0'), 'hex');
+}
+
+// Outputs of the precompiles that can be computed locally; anything else is reported as unknown
+function runPrecompile(address, input) {
+  const id = parseInt(address, 16);
+  try {
+    if (id === 1) {
+      const padded = sliceZeroPadded(input, 0, 128);
+      const hash = padded.slice(0, 32);
+      const v = BigInt('0x' + padded.slice(32, 64).toString('hex'));
+      if (v !== 27n && v !== 28n) return Buffer.alloc(0);
+      const signer = ethers.utils.recoverAddress(hash, {
+        r: '0x' + padded.slice(64, 96).toString('hex'),
+        s: '0x' + padded.slice(96, 128).toString('hex'),
+        v: Number(v)
+      });
+      return Buffer.concat([Buffer.alloc(12), Buffer.from(signer.slice(2), 'hex')]);
+    }
+    if (id === 2) return crypto.createHash('sha256').update(input).digest();
+    if (id === 3) return Buffer.concat([Buffer.alloc(12), crypto.createHash('ripemd160').update(input).digest()]);
+    if (id === 4) return Buffer.from(input);
+  } catch (err) {
+    return null;
+  }
+  return null;
+}
+
+function isPrecompile(address) {
+  const id = BigInt(address);
+  return id > 0n && id <= 0x100n;
+}
+
+function toHex(buffer) {
+  return '0x' + buffer.toString('hex');
+}
+
+/**
+ * Rebuilds the nested call tree of a mined transaction from its struct logs.
+ * Calldata and return data are recovered by replaying every memory write of each frame
+ * (MSTORE, *COPY and call outputs), since Hardhat cannot include memory for large traces.
+ * Without a hash, the transaction is executed as a call on the latest block instead
+ * (e.g. to see where a transaction that failed gas estimation reverts).
+ *
+ * @param {object} options
+ * @param {string} options.rpcUrl - JSON-RPC endpoint of the Hardhat node.
+ * @param {object} options.tx - The transaction ({ hash, from, to, data, value }); hash is optional.
+ *   A transaction without `to` deploys a contract: the root frame is a CREATE running `data` as init code,
+ *   and `contractAddress` (from the receipt) is the address it creates.
+ * @param {function} options.getCode - Async (address) => hex runtime code, used for CODECOPY/EXTCODECOPY.
+ * @returns {Promise<object>} Root frame: { type, from, to, value, input, output, gasUsed, success, calls: [...] }.
+ */
+async function buildCallTree({ rpcUrl, tx, getCode }) {
+  const codeCache = new Map();
+  async function codeOf(address) {
+    const key = address.toLowerCase();
+    if (!codeCache.has(key)) {
+      const hex = await getCode(address);
+      codeCache.set(key, Buffer.from((hex || '0x').slice(2), 'hex'));
+    }
+    return codeCache.get(key);
+  }
+
+  function createFrame(fields) {
+    return {
+      type: fields.type,
+      // `from` and `context` are shared references: the address of a contract under construction
+      // is only known once its CREATE returns, and DELEGATECALL frames share their caller's context
+      fromRef: fields.fromRef,
+      contextRef: fields.contextRef,
+      to: fields.to,
+      codeAddress: fields.codeAddress,
+      value: fields.value,
+      input: fields.input,
+      output: Buffer.alloc(0),
+      gasUsed: 0,
+      success: true,
+      calls: [],
+      // Execution bookkeeping, not part of the returned tree
+      depth: fields.depth,
+      initCode: fields.initCode || null,
+      memory: createMemory(),
+      returnData: Buffer.alloc(0),
+      pendingReturn: null,
+      startGas: null,
+      lastStep: null
+    };
+  }
+
+  const txInput = Buffer.from((tx.data || '0x').slice(2), 'hex');
+  const isCreation = !tx.to;
+  const root = createFrame({
+    type: isCreation ? 'CREATE' : 'CALL',
+    fromRef: { address: tx.from },
+    contextRef: { address: isCreation ? tx.contractAddress : tx.to },
+    to: isCreation ? tx.contractAddress : tx.to,
+    codeAddress: isCreation ? null : tx.to,
+    value: ethers.BigNumber.from(tx.value || 0).toString(),
+    input: txInput,
+    initCode: isCreation ? txInput : null,
+    depth: 1
+  });
+  const frames = [root];
+  // Call or create issued by the previous step, resolved once we see where execution continues
+  let pending = null;
+
+  function finishFrame(frame) {
+    const last = frame.lastStep;
+    if (!last) return;
+    if (last.op === 'RETURN' || last.op === 'REVERT') {
+      frame.output = frame.memory.read(stackNumber(last, 0), stackNumber(last, 1));
+    }
+    frame.gasUsed = frame.startGas - (last.gas - last.gasCost);
+  }
+
+  // Called on the first step executed back in `parent` after `child` returned.
+  // The value the call/create pushed on the parent's stack is the authoritative outcome.
+  function resumeParent(parent, step, child) {
+    const result = stackWord(step, 0);
+    child.success = result !== 0n;
+    if (CREATE_OPS.has(child.type)) {
+      if (child.success) {
+        child.to = ethers.utils.getAddress('0x' + result.toString(16).padStart(40, '0'));
+        child.contextRef.address = child.to;
+      }
+      // A successful create leaves no return data, a reverted one returns its revert data
+      parent.returnData = child.success ? Buffer.alloc(0) : child.output;
+      return;
+    }
+    parent.returnData = child.output;
+    const { retOffset, retLength } = child.pendingReturn;
+    parent.memory.write(retOffset, child.output.slice(0, retLength));
+  }
+
+  async function applyMemoryEffects(frame, step) {
+    switch (step.op) {
+      case 'MSTORE':
+        frame.memory.write(stackNumber(step, 0), wordBuffer(stackWord(step, 1)));
+        break;
+      case 'MSTORE8':
+        frame.memory.write(stackNumber(step, 0), Buffer.from([Number(stackWord(step, 1) & 0xffn)]));
+        break;
+      case 'CALLDATACOPY': {
+        // Constructors have no calldata; their input is the init code
+        const calldata = frame.initCode ? Buffer.alloc(0) : frame.input;
+        frame.memory.write(stackNumber(step, 0), sliceZeroPadded(calldata, stackNumber(step, 1), stackNumber(step, 2)));
+        break;
+      }
+      case 'CODECOPY': {
+        const code = frame.initCode || await codeOf(frame.codeAddress);
+        frame.memory.write(stackNumber(step, 0), sliceZeroPadded(code, stackNumber(step, 1), stackNumber(step, 2)));
+        break;
+      }
+      case 'EXTCODECOPY': {
+        const code = await codeOf(stackAddress(step, 0));
+        frame.memory.write(stackNumber(step, 1), sliceZeroPadded(code, stackNumber(step, 2), stackNumber(step, 3)));
+        break;
+      }
+      case 'RETURNDATACOPY':
+        frame.memory.write(stackNumber(step, 0), sliceZeroPadded(frame.returnData, stackNumber(step, 1), stackNumber(step, 2)));
+        break;
+      case 'MCOPY':
+        frame.memory.write(stackNumber(step, 0), frame.memory.read(stackNumber(step, 1), stackNumber(step, 2)));
+        break;
+      default:
+        break;
+    }
+  }
+
+  function prepareChild(frame, step) {
+    if (CREATE_OPS.has(step.op)) {
+      const initCode = frame.memory.read(stackNumber(step, 1), stackNumber(step, 2));
+      return createFrame({
+        type: step.op,
+        fromRef: frame.contextRef,
+        contextRef: { address: null },
+        to: null,
+        codeAddress: null,
+        value: stackWord(step, 0).toString(),
+        input: initCode,
+        initCode,
+        depth: step.depth + 1
+      });
+    }
+
+    const hasValue = step.op === 'CALL' || step.op === 'CALLCODE';
+    const sharesContext = step.op === 'DELEGATECALL' || step.op === 'CALLCODE';
+    const target = stackAddress(step, 1);
+    const argsIndex = hasValue ? 3 : 2;
+    const child = createFrame({
+      type: step.op,
+      fromRef: frame.contextRef,
+      contextRef: sharesContext ? frame.contextRef : { address: target },
+      to: target,
+      codeAddress: target,
+      value: hasValue ? stackWord(step, 2).toString() : '0',
+      input: frame.memory.read(stackNumber(step, argsIndex), stackNumber(step, argsIndex + 1)),
+      depth: step.depth + 1
+    });
+    child.pendingReturn = {
+      retOffset: stackNumber(step, argsIndex + 2),
+      retLength: stackNumber(step, argsIndex + 3)
+    };
+    return child;
+  }
+
+  const [method, params] = tx.hash
+    ? ['debug_traceTransaction', [tx.hash]]
+    : ['debug_traceCall', [{
+      from: tx.from,
+      to: tx.to,
+      data: tx.data,
+      value: ethers.utils.hexValue(ethers.BigNumber.from(tx.value || 0))
+    }, 'latest']];
+
+  const envelope = await streamStructLogs(rpcUrl, method, params, async (step) => {
+    let frame = frames[frames.length - 1];
+
+    if (pending) {
+      const child = pending;
+      pending = null;
+      frame.calls.push(child);
+      if (step.depth === child.depth) {
+        // Execution entered the new frame
+        frames.push(child);
+        frame = child;
+      } else {
+        // No code ran: precompile, plain transfer, or an immediate failure (depth, balance)
+        if (child.codeAddress && isPrecompile(child.codeAddress)) {
+          const output = runPrecompile(child.codeAddress, child.input);
+          child.precompile = true;
+          child.output = output || Buffer.alloc(0);
+          child.outputUnknown = output === null;
+        }
+        resumeParent(frame, step, child);
+      }
+    }
+
+    // Unwind frames that have returned
+    while (step.depth < frame.depth) {
+      const child = frames.pop();
+      finishFrame(child);
+      frame = frames[frames.length - 1];
+      resumeParent(frame, step, child);
+    }
+
+    if (frame.startGas === null) frame.startGas = step.gas;
+    frame.lastStep = step;
+
+    await applyMemoryEffects(frame, step);
+
+    if (CALL_OPS.has(step.op) || CREATE_OPS.has(step.op)) {
+      pending = prepareChild(frame, step);
+    }
+  });
+
+  // Whatever is still open ended together with the transaction
+  while (frames.length > 0) {
+    finishFrame(frames.pop());
+  }
+  root.gasUsed = envelope.gas;
+  root.success = !envelope.failed;
+  if (envelope.returnValue) {
+    root.output = Buffer.from(envelope.returnValue.replace(/^0x/, ''), 'hex');
+  }
+
+  return toPlainFrame(root);
+}
+
+function toPlainFrame(frame) {
+  const plain = {
+    type: frame.type,
+    from: frame.fromRef.address,
+    to: frame.to,
+    value: frame.value,
+    input: toHex(frame.input),
+    output: toHex(frame.output),
+    gasUsed: frame.gasUsed,
+    success: frame.success,
+    calls: frame.calls.map(toPlainFrame)
+  };
+  if (frame.contextRef.address !== frame.to) plain.context = frame.contextRef.address;
+  if (frame.precompile) plain.precompile = true;
+  if (frame.outputUnknown) plain.outputUnknown = true;
+  return plain;
+}
+
+module.exports = {
+  buildCallTree
+};
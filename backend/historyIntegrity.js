@@ -0,0 +1,199 @@
+// backend/historyIntegrity.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Fields of a history entry that decide what gets deployed; their hash is the entry's code hash
+const CODE_FIELDS = ['code', 'files', 'contractName', 'constructorArgs', 'value'];
+
+const SIGNATURE_ALGORITHM = 'ed25519';
+
+// The server's signing key, and the public keys (comma-separated PEM files) of other servers whose files are trusted
+const SIGNING_KEY_PATH = process.env.HISTORY_SIGNING_KEY || path.join(__dirname, '..', 'history-signing-key.pem');
+const TRUSTED_KEY_PATHS = (process.env.HISTORY_TRUSTED_KEYS || '').split(',').map(keyPath => keyPath.trim()).filter(Boolean);
+
+// JSON with object keys sorted at every level, so equal values always hash the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function computeCodeHash(entry) {
+  const code = {};
+  CODE_FIELDS.forEach(field => {
+    if (entry[field] !== undefined) code[field] = entry[field];
+  });
+  return sha256(canonicalJson(code));
+}
+
+// The chain starts from the environment fingerprint, so a file cannot be moved to a different setup unnoticed
+function computeGenesisHash(environment) {
+  return sha256(canonicalJson(environment || null));
+}
+
+// The entry hash covers every field of the entry (code, recorded score, compiler, timestamp...) and the previous hash
+function computeEntryHash(entry, codeHash, previousHash) {
+  const { integrity, ...fields } = entry;
+  return sha256(canonicalJson({ ...fields, codeHash, previousHash }));
+}
+
+function getKeyId(publicKey) {
+  return sha256(crypto.createPublicKey(publicKey).export({ type: 'spki', format: 'der' })).slice(0, 16);
+}
+
+/**
+ * Adds a hash chain to history entries: each entry gets
+ * `integrity: { codeHash, previousHash, score, hash }`, where `score` is the score recorded after the entry.
+ *
+ * @param {object[]} attacks - History entries in replay order; they are not modified.
+ * @param {object} environment - The environment fingerprint of the replay file.
+ * @returns {object[]} Copies of the entries with their integrity fields.
+ */
+function sealHistory(attacks, environment) {
+  let previousHash = computeGenesisHash(environment);
+  return attacks.map(attack => {
+    const { integrity, ...entry } = attack;
+    const codeHash = computeCodeHash(entry);
+    const hash = computeEntryHash(entry, codeHash, previousHash);
+    const sealed = { ...entry, integrity: { codeHash, previousHash, score: entry.expectedScore, hash } };
+    previousHash = hash;
+    return sealed;
+  });
+}
+
+/**
+ * Loads the ed25519 key that signs downloaded history files, creating it on first use.
+ *
+ * @param {string} keyPath - PEM file holding the private key.
+ * @returns {{privateKey: crypto.KeyObject, publicKey: string, keyId: string}} The key, its public half as PEM and a short id.
+ */
+function loadSigningKey(keyPath) {
+  if (!fs.existsSync(keyPath)) {
+    const { privateKey } = crypto.generateKeyPairSync(SIGNATURE_ALGORITHM);
+    fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+    fs.writeFileSync(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  }
+  const privateKey = crypto.createPrivateKey(fs.readFileSync(keyPath, 'utf8'));
+  const publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+  return { privateKey, publicKey, keyId: getKeyId(publicKey) };
+}
+
+/**
+ * Reads a PEM file holding a public key, or a private key whose public half is wanted.
+ *
+ * @param {string} keyPath - The PEM file.
+ * @returns {string} The public key as PEM.
+ */
+function readPublicKey(keyPath) {
+  return crypto.createPublicKey(fs.readFileSync(keyPath, 'utf8')).export({ type: 'spki', format: 'pem' });
+}
+
+/**
+ * The keys whose signatures are accepted by default: this server's signing key, if it exists yet,
+ * and the keys listed in HISTORY_TRUSTED_KEYS.
+ *
+ * @returns {string[]} PEM public keys.
+ */
+function loadTrustedPublicKeys() {
+  const keyPaths = fs.existsSync(SIGNING_KEY_PATH) ? [SIGNING_KEY_PATH, ...TRUSTED_KEY_PATHS] : TRUSTED_KEY_PATHS;
+  return keyPaths.map(readPublicKey);
+}
+
+/**
+ * Signs the head of a sealed history. The head hash covers every entry and the environment.
+ *
+ * @param {object[]} sealedAttacks - Output of sealHistory.
+ * @param {object} environment - The environment fingerprint the history was sealed with.
+ * @param {{privateKey: crypto.KeyObject, publicKey: string, keyId: string}} key - Output of loadSigningKey.
+ * @returns {{algorithm: string, keyId: string, publicKey: string, head: string, value: string}} The file's `signature` field.
+ */
+function signHistory(sealedAttacks, environment, key) {
+  const head = sealedAttacks.length > 0
+    ? sealedAttacks[sealedAttacks.length - 1].integrity.hash
+    : computeGenesisHash(environment);
+  return {
+    algorithm: SIGNATURE_ALGORITHM,
+    keyId: key.keyId,
+    publicKey: key.publicKey,
+    head,
+    value: crypto.sign(null, Buffer.from(head), key.privateKey).toString('base64')
+  };
+}
+
+/**
+ * Checks the hash chain and the signature of a replay file without running anything.
+ * The public key in the file only names the signer: the signature is checked against the trusted key with the same id,
+ * so a file edited and re-signed with another key is reported as signed by an untrusted key.
+ *
+ * @param {object} replayData - A parsed replay file.
+ * @param {string[]} trustedPublicKeys - PEM public keys to accept, see loadTrustedPublicKeys.
+ * @returns {{sealed: boolean, signed: boolean, valid: boolean, keyId: string|null, problems: string[]}}
+ *   `sealed`/`signed` tell whether the file carries a hash chain/signature at all, `valid` that everything present checks out.
+ */
+function verifyHistoryIntegrity(replayData, trustedPublicKeys) {
+  const attacks = Array.isArray(replayData.attacks) ? replayData.attacks : [];
+  const problems = [];
+  const sealed = attacks.length > 0 && attacks.every(attack => attack.integrity);
+  const signed = Boolean(replayData.signature);
+
+  let previousHash = computeGenesisHash(replayData.environment);
+  if (sealed) {
+    attacks.forEach((attack, index) => {
+      const { codeHash, previousHash: recordedPrevious, score, hash } = attack.integrity;
+      if (computeCodeHash(attack) !== codeHash) {
+        problems.push(`Attack ${index + 1}: the code does not match its code hash.`);
+      }
+      if (recordedPrevious !== previousHash) {
+        problems.push(index === 0
+          ? "Attack 1: the chain does not start from this file's environment fingerprint."
+          : `Attack ${index + 1}: the previous hash does not match attack ${index}; attacks were removed, added or reordered.`);
+      }
+      if (score !== attack.expectedScore) {
+        problems.push(`Attack ${index + 1}: the recorded score ${attack.expectedScore} does not match the sealed score ${score}.`);
+      }
+      if (computeEntryHash(attack, codeHash, recordedPrevious) !== hash) {
+        problems.push(`Attack ${index + 1}: the entry was modified after it was sealed.`);
+      }
+      previousHash = hash;
+    });
+  } else if (attacks.some(attack => attack.integrity)) {
+    problems.push("Only some attacks carry integrity fields; attacks were added to a sealed file.");
+  }
+
+  let keyId = null;
+  if (signed) {
+    const { algorithm, publicKey, head, value } = replayData.signature;
+    try {
+      keyId = getKeyId(publicKey);
+      const trustedKey = trustedPublicKeys.find(trusted => getKeyId(trusted) === keyId);
+      if (!trustedKey) {
+        problems.push(`The file was signed by an untrusted key (${keyId}).`);
+      } else if (algorithm !== SIGNATURE_ALGORITHM) {
+        problems.push(`Unsupported signature algorithm '${algorithm}'.`);
+      } else if (!crypto.verify(null, Buffer.from(String(head)), trustedKey, Buffer.from(String(value), 'base64'))) {
+        problems.push("The signature does not match the file.");
+      }
+      if (head !== previousHash) {
+        problems.push("The signed head hash does not match the last attack; the file was changed after it was signed.");
+      }
+    } catch (err) {
+      problems.push(`The signature could not be checked: ${err.message}`);
+    }
+  }
+
+  return { sealed, signed, valid: problems.length === 0, keyId, problems };
+}
+
+module.exports = { SIGNING_KEY_PATH, sealHistory, loadSigningKey, readPublicKey, loadTrustedPublicKeys, signHistory, verifyHistoryIntegrity };
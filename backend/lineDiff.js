@@ -0,0 +1,71 @@
+// backend/lineDiff.js
+
+// Above this many cells in the LCS table, the changed middle part is reported as removed and re-added as a whole
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Line-based diff of two texts, based on the longest common subsequence of their lines.
+ * The common prefix and suffix are matched first, so small edits to long files stay cheap.
+ *
+ * @param {string} before - The old text.
+ * @param {string} after - The new text.
+ * @returns {Array<{type: 'same'|'removed'|'added', text: string}>} Every line of both texts, in order.
+ */
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const prefix = a.slice(0, start).map(text => ({ type: 'same', text }));
+  const suffix = a.slice(endA).map(text => ({ type: 'same', text }));
+  return [...prefix, ...diffMiddle(a.slice(start, endA), b.slice(start, endB)), ...suffix];
+}
+
+function diffMiddle(a, b) {
+  const rows = a.length + 1;
+  const columns = b.length + 1;
+  if (rows * columns > MAX_LCS_CELLS) {
+    return [
+      ...a.map(text => ({ type: 'removed', text })),
+      ...b.map(text => ({ type: 'added', text }))
+    ];
+  }
+
+  // lcs[i * columns + j] is the LCS length of a[i..] and b[j..]
+  const lcs = new Uint32Array(rows * columns);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * columns + j] = a[i] === b[j]
+        ? lcs[(i + 1) * columns + j + 1] + 1
+        : Math.max(lcs[(i + 1) * columns + j], lcs[i * columns + j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * columns + j] >= lcs[i * columns + j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+  return lines;
+}
+
+module.exports = { diffLines };
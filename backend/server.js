@@ -1,46 +1,370 @@
 // backend/server.js
 const express = require('express');
+const session = require('express-session');
 const bodyParser = require('body-parser');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const solc = require('solc');
-const { ethers } = require('hardhat'); // Use Hardhat's ethers provider
+const { ethers, artifacts } = require('hardhat'); // Use Hardhat's ethers provider
 const { Mutex } = require('async-mutex');
 const { spawn } = require('child_process');
+const { buildCallTree } = require('./callTrace');
+const { diffLines } = require('./lineDiff');
+const { decodeStorage, DEFAULT_ARRAY_LIMIT, MAX_ARRAY_LIMIT } = require('./storageLayout');
+const { selectCompiler } = require('./solcBuilds');
+const { SIGNING_KEY_PATH, sealHistory, loadSigningKey, loadTrustedPublicKeys, signHistory, verifyHistoryIntegrity } = require('./historyIntegrity');
 
 const app = express();
 app.use(bodyParser.json({ limit: '5mb' }));
 
+// Every browser session gets its own workspace (see getWorkspace below)
+app.use(session({
+  secret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+  resave: false,
+  saveUninitialized: true,
+  cookie: { httpOnly: true, sameSite: 'lax' }
+}));
+
 // Serve static files from the "public" folder
 app.use(express.static(path.join(__dirname, "..", "public")));
 
+// Autosave the session's workspace once a request that may have changed it has been answered (see saveWorkspace).
+// Static files and GET requests never change a workspace, so they skip the serialization.
+app.use((req, res, next) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.on('finish', () => {
+      const workspace = workspaces.get(req.sessionID);
+      if (workspace) saveWorkspace(workspace);
+    });
+  }
+  next();
+});
+
 // These will be loaded after setup script runs
 let deployedConfig;
+let deployedConfigHash; // sha256 of the contract addresses in deployed.json, part of the replay fingerprint
 let eventsInterface;
 let knownEventHashes;
 
 // Connect to the local Hardhat node
-const provider = new ethers.providers.JsonRpcProvider("http://127.0.0.1:8545");
+const RPC_URL = "http://127.0.0.1:8545";
+const provider = new ethers.providers.JsonRpcProvider(RPC_URL);
 
 let snapshotId;
+// Snapshots taken since the initial one, oldest first (see takeSnapshot).
+// Hardhat cannot free a single snapshot: evm_revert to a snapshot frees it and every snapshot taken after it,
+// so the list only shrinks when the chain is reverted.
+let liveSnapshots = [];
+// Above this many live snapshots, the chain is rebuilt from the initial snapshot to free them all
+const MAX_LIVE_SNAPSHOTS = 200;
+// Number of submissions per workspace that can be undone one after another
+const MAX_UNDO_STEPS = 20;
+// Incremented by every revertState(). Reverting to the initial snapshot discards all later snapshots,
+// so checkpoints taken in an earlier epoch have to be rebuilt from the journal.
+let chainEpoch = 0;
 // Timestamp captured after setup for deterministic execution
 let baselineTimestamp;
+let baselineBlockNumber; // Last block of the setup, the chain is never reverted past it
 let hardhatProcess = null;
 let consoleLogsBuffer = []; // Buffer to collect console.log outputs
 let currentTxHash = null; // Track current transaction
 
-// In-memory storage for user's history
-let userHistory = [];
-let isNormalMode = true; // Track current mode: true = Normal Mode (history recording), false = Exploration Mode (faucet available)
+// Serializes every operation that touches the shared chain
+const mutex = new Mutex();
+
+// Per-session workspaces, keyed by express-session ID.
+// There is only one Hardhat node, so only one workspace owns the chain at a time.
+// Switching owners reverts to the initial snapshot and re-applies the new owner's journal.
+const workspaces = new Map();
+let activeWorkspace = null;
+
+// Workspaces unused for this long are saved and dropped from memory (see evictIdleWorkspaces).
+// Their browser is offered the save on its next visit, like after a restart.
+const WORKSPACE_IDLE_TIMEOUT_MS = Number(process.env.WORKSPACE_IDLE_TIMEOUT_MS) || 12 * 60 * 60 * 1000;
+const WORKSPACE_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+// Outcome of the submission or replay that produced each history entry (see summarizeHistoryResult).
+// Kept outside the entries so downloaded history files only contain what is needed to replay them.
+const historyResults = new WeakMap();
+
+function createWorkspace(id) {
+  return {
+    id,
+    isNormalMode: true, // true = Normal Mode (history recording), false = Exploration Mode (faucet available)
+    userHistory: [],    // Attacks recorded for download/replay (Normal Mode only)
+    results: [],        // Outcome of every submission in this workspace
+    journal: [],        // Every chain-mutating action since the last revert, used to rebuild the chain state
+    gasSpent: { gasUsed: 0, costWei: "0" }, // Gas paid by the attacker since the last revert
+    checkpoints: [],    // Named points to return to, oldest first (see createCheckpoint)
+    undoStack: [],      // Restore points taken before each submission, newest last (see undoLastSubmission)
+    eventIndex: null,   // Decoded logs mined after the setup (see updateWorkspaceEventIndex)
+    draft: null,        // Editor contents, autosaved by the frontend
+    saveId: crypto.randomBytes(16).toString('hex'), // File name of the workspace's autosave, only ever told to its own session
+    lastSaved: null,    // Contents of the last autosave, to skip unchanged writes
+    lastUsed: Date.now() // Time of the session's last request, for evictIdleWorkspaces
+  };
+}
+
+function getWorkspace(req) {
+  let workspace = workspaces.get(req.sessionID);
+  if (!workspace) {
+    workspace = createWorkspace(req.sessionID);
+    workspaces.set(req.sessionID, workspace);
+    console.log(`Created workspace for session ${req.sessionID}`);
+  }
+  workspace.lastUsed = Date.now();
+  return workspace;
+}
+
+// Drop workspaces whose session has been idle for WORKSPACE_IDLE_TIMEOUT_MS, so abandoned sessions do not pile up.
+// Each one is saved first; the chain is left alone and rebuilt for whichever workspace is used next.
+async function evictIdleWorkspaces() {
+  await mutex.runExclusive(() => {
+    const cutoff = Date.now() - WORKSPACE_IDLE_TIMEOUT_MS;
+    for (const [sessionId, workspace] of workspaces) {
+      if (workspace.lastUsed > cutoff) continue;
+      saveWorkspace(workspace);
+      workspaces.delete(sessionId);
+      if (activeWorkspace === workspace) activeWorkspace = null;
+      console.log(`Evicted workspace of idle session ${sessionId}`);
+    }
+  });
+}
+
+// Workspaces are autosaved here after every request, so they can be restored by replaying their history after a restart.
+// Sessions do not survive a restart, so the save id is the token that proves ownership: a session learns only its own
+// (GET /saved-workspaces), the browser remembers it, and only saves whose id is presented are offered or restored.
+const WORKSPACES_DIR = process.env.WORKSPACES_DIR || path.join(__dirname, "..", "workspaces");
+const WORKSPACE_SAVE_VERSION = 1;
+const SAVE_ID_REGEX = /^[0-9a-f]{32}$/;
+
+function getWorkspaceSavePath(saveId) {
+  return path.join(WORKSPACES_DIR, `${saveId}.json`);
+}
+
+// Write the workspace's history, per-entry results, mode and draft if they changed since the last save.
+// Workspaces with nothing worth restoring are not written, and their old save is removed.
+function saveWorkspace(workspace) {
+  const isEmpty = workspace.userHistory.length === 0 && !workspace.draft && workspace.isNormalMode;
+  const serialized = isEmpty ? null : JSON.stringify({
+    version: WORKSPACE_SAVE_VERSION,
+    isNormalMode: workspace.isNormalMode,
+    history: workspace.userHistory,
+    results: workspace.userHistory.map(entry => historyResults.get(entry) || null),
+    draft: workspace.draft
+  }, null, 2);
+  if (serialized === workspace.lastSaved) return;
+
+  const savePath = getWorkspaceSavePath(workspace.saveId);
+  try {
+    if (serialized === null) {
+      fs.rmSync(savePath, { force: true });
+    } else {
+      fs.mkdirSync(WORKSPACES_DIR, { recursive: true });
+      // Write then rename, so a crash never leaves a half-written save behind
+      fs.writeFileSync(`${savePath}.tmp`, serialized);
+      fs.renameSync(`${savePath}.tmp`, savePath);
+    }
+    workspace.lastSaved = serialized;
+  } catch (err) {
+    console.error(`Failed to save workspace ${workspace.saveId}:`, err);
+  }
+}
+
+function isSaveInUse(saveId) {
+  return [...workspaces.values()].some(workspace => workspace.saveId === saveId);
+}
+
+// Saved workspaces that no live workspace is using, newest first.
+// Without `saveIds` every save is listed; that is only used for the startup log, never sent to a client.
+function listSavedWorkspaces(saveIds) {
+  if (!fs.existsSync(WORKSPACES_DIR)) return [];
+  const saved = [];
+  const candidates = saveIds || fs.readdirSync(WORKSPACES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'));
+  for (const saveId of candidates) {
+    const savePath = getWorkspaceSavePath(saveId);
+    if (!SAVE_ID_REGEX.test(saveId) || isSaveInUse(saveId) || !fs.existsSync(savePath)) continue;
+    try {
+      const { version, isNormalMode, history, draft } = JSON.parse(fs.readFileSync(savePath, 'utf8'));
+      if (version !== WORKSPACE_SAVE_VERSION) continue;
+      const lastEntry = history[history.length - 1];
+      saved.push({
+        id: saveId,
+        savedAt: Math.round(fs.statSync(savePath).mtimeMs),
+        isNormalMode,
+        attacks: history.length,
+        score: lastEntry && typeof lastEntry.expectedScore === 'number' ? lastEntry.expectedScore : null,
+        hasDraft: Boolean(draft)
+      });
+    } catch (err) {
+      console.error(`Skipping unreadable saved workspace ${saveId}:`, err.message);
+    }
+  }
+  return saved.sort((a, b) => b.savedAt - a.savedAt);
+}
+
+// Make the chain reflect the given workspace. Must be called while holding the mutex.
+async function activateWorkspace(workspace) {
+  if (activeWorkspace === workspace) return;
+
+  // Mark the chain as unowned until the journal is fully re-applied
+  activeWorkspace = null;
+  await revertState();
+  for (const entry of workspace.journal) {
+    await replayJournalEntry(entry);
+  }
+  activeWorkspace = workspace;
+  console.log(`Workspace ${workspace.id} activated (${workspace.journal.length} journal entries re-applied)`);
+}
+
+// Return the chain to the initial snapshot and clear the workspace's history, journal and gas total
+async function resetWorkspace(workspace) {
+  activeWorkspace = null;
+  await revertState();
+  activeWorkspace = workspace;
+  workspace.userHistory.length = 0;
+  workspace.results.length = 0;
+  workspace.journal.length = 0;
+  workspace.gasSpent = { gasUsed: 0, costWei: "0" };
+  workspace.checkpoints.length = 0;
+  workspace.undoStack.length = 0;
+  // Keep the current mode state (don't force enable)
+  console.log("History cleared due to state revert. Normal mode:", workspace.isNormalMode);
+}
+
+async function takeSnapshot() {
+  const id = await provider.send("evm_snapshot", []);
+  liveSnapshots.push(id);
+  return id;
+}
+
+// evm_revert consumes the snapshot and invalidates every snapshot taken after it, even if the revert fails
+async function revertToSnapshot(id) {
+  const index = liveSnapshots.indexOf(id);
+  if (index !== -1) liveSnapshots.length = index;
+  return provider.send("evm_revert", [id]);
+}
+
+// Forget the snapshot ids of restore points from an earlier epoch or taken after the latest evm_revert;
+// they can no longer be reverted to. The points themselves stay, restoreToPoint rebuilds them from the journal.
+function dropDeadSnapshots(points) {
+  points.forEach(point => {
+    if (point.snapshotId !== null && (point.epoch !== chainEpoch || !liveSnapshots.includes(point.snapshotId))) {
+      point.snapshotId = null;
+    }
+  });
+}
+
+// Capture the workspace's current state: an evm_snapshot plus the lengths of history and journal.
+// When too many snapshots are alive, the chain is first rebuilt from the initial snapshot, which frees them all.
+// Must be called while holding the mutex, with the workspace active.
+async function captureRestorePoint(workspace) {
+  if (liveSnapshots.length >= MAX_LIVE_SNAPSHOTS) {
+    console.log(`${liveSnapshots.length} snapshots alive, rebuilding workspace ${workspace.id} from its journal to free them`);
+    activeWorkspace = null;
+    await activateWorkspace(workspace);
+  }
+  return {
+    snapshotId: await takeSnapshot(),
+    epoch: chainEpoch,
+    historyLength: workspace.userHistory.length,
+    journalLength: workspace.journal.length,
+    gasSpent: { ...workspace.gasSpent }
+  };
+}
+
+// Return the chain to a restore point and truncate history and journal to it.
+// The snapshot is used while it is still valid; otherwise (another workspace or a revert used the chain since)
+// the chain is rebuilt by replaying the truncated journal. evm_revert consumes the snapshot either way,
+// together with every snapshot taken after it, so the workspace's later restore points lose theirs.
+// Must be called while holding the mutex.
+async function restoreToPoint(workspace, point) {
+  workspace.userHistory.length = point.historyLength;
+  workspace.journal.length = point.journalLength;
+  workspace.gasSpent = { ...point.gasSpent };
+
+  const snapshotUsable = activeWorkspace === workspace && point.epoch === chainEpoch && point.snapshotId !== null &&
+    await revertToSnapshot(point.snapshotId);
+  if (!snapshotUsable) {
+    console.log(`Snapshot ${point.snapshotId} is gone, rebuilding the state from ${point.journalLength} journal entries`);
+    activeWorkspace = null;
+    await activateWorkspace(workspace);
+  }
+  point.snapshotId = null;
+  dropDeadSnapshots([...workspace.undoStack, ...workspace.checkpoints]);
+  return snapshotUsable;
+}
+
+async function createCheckpoint(workspace, name) {
+  const attacker = await getAttacker();
+  const checkpoint = {
+    name,
+    ...await captureRestorePoint(workspace),
+    score: await calculateTotalWorthInETH(await attacker.getAddress()),
+    createdAt: Date.now()
+  };
+  workspace.checkpoints.push(checkpoint);
+  return checkpoint;
+}
+
+// Later checkpoints and submissions that can no longer be undone are dropped.
+async function revertToCheckpoint(workspace, checkpoint) {
+  workspace.checkpoints.length = workspace.checkpoints.indexOf(checkpoint) + 1;
+  workspace.undoStack = workspace.undoStack.filter(point => point.journalLength < checkpoint.journalLength);
+  if (await restoreToPoint(workspace, checkpoint)) {
+    console.log(`Reverted workspace ${workspace.id} to checkpoint '${checkpoint.name}' (snapshot ${checkpoint.snapshotId})`);
+  }
+
+  // Take a new snapshot to be able to return here again
+  checkpoint.snapshotId = await takeSnapshot();
+  checkpoint.epoch = chainEpoch;
+}
+
+// Only the latest action on the chain can be undone, and it has to be a submission (not the faucet)
+function canUndo(workspace) {
+  const point = workspace.undoStack[workspace.undoStack.length - 1];
+  return Boolean(point) && workspace.journal.length === point.journalLength + 1;
+}
+
+// Undo the latest submission: pop its restore point and return the chain to the state before it.
+// Checkpoints created after it are dropped. Callers check canUndo() first.
+async function undoLastSubmission(workspace) {
+  const point = workspace.undoStack.pop();
+  workspace.checkpoints = workspace.checkpoints.filter(checkpoint => checkpoint.journalLength <= point.journalLength);
+  await restoreToPoint(workspace, point);
+  console.log(`Undid the last submission of workspace ${workspace.id}, ${point.historyLength} history entries left`);
+}
+
+function describeCheckpoint({ name, historyLength, score, createdAt }) {
+  return { name, historyLength, score, createdAt };
+}
+
+// Re-apply a single recorded action. Failures are expected to reproduce exactly as they originally happened.
+async function replayJournalEntry(entry) {
+  if (entry.type === 'faucet') {
+    await mintFaucetUsdc();
+    return;
+  }
+  const attacker = await getAttacker();
+  try {
+    await executeAttackTransactions(attacker, entry.abi, entry.bytecode, [], entry.deployment);
+  } catch (err) {
+    await provider.send("evm_setAutomine", [true]);
+  }
+}
 
 // Spawn Hardhat node and capture console output
 function startHardhatNode() {
   return new Promise((resolve, reject) => {
     console.log('Starting Hardhat node...');
     
+    // In its own process group, so stopHardhatNode also stops the node that npx starts
     hardhatProcess = spawn('npx', ['hardhat', 'node', '--hostname', '127.0.0.1', '--port', '8545'], {
       cwd: path.join(__dirname, '..'),
-      stdio: ['ignore', 'pipe', 'pipe']
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached: true
     });
 
     let nodeReady = false;
@@ -211,6 +535,9 @@ function loadConfigurationFiles() {
     throw new Error("Error: deployed.json not found at " + deployedConfigPath);
   }
   deployedConfig = JSON.parse(fs.readFileSync(deployedConfigPath, "utf8"));
+  // attackTime is when setup finished and drifts by a second or so between boots; the replay fingerprint checks the baseline timestamp instead
+  const { attackTime, ...deployedAddresses } = deployedConfig;
+  deployedConfigHash = crypto.createHash('sha256').update(JSON.stringify(deployedAddresses)).digest('hex');
   console.log('✓ Loaded deployed.json');
   
   // Load events ABI
@@ -229,17 +556,26 @@ function loadConfigurationFiles() {
   console.log('✓ Loaded eventsABI.json');
 }
 
-// Cleanup on exit
-process.on('exit', () => {
+function stopHardhatNode() {
   if (hardhatProcess) {
-    hardhatProcess.kill();
+    try {
+      process.kill(-hardhatProcess.pid);
+    } catch (err) {
+      // The group is already gone
+    }
   }
-});
+}
+
+// Cleanup on exit
+process.on('exit', stopHardhatNode);
 
 process.on('SIGINT', () => {
-  if (hardhatProcess) {
-    hardhatProcess.kill();
-  }
+  stopHardhatNode();
+  process.exit();
+});
+
+process.on('SIGTERM', () => {
+  stopHardhatNode();
   process.exit();
 });
 
@@ -280,13 +616,268 @@ async function revertState() {
   // Set the timestamp for the next block to our baseline value
   await provider.send("evm_setNextBlockTimestamp", [baselineTimestamp]);
   
-  // Take new snapshot 
+  // Take new snapshot. Reverting to the initial snapshot freed every later one.
   snapshotId = await provider.send("evm_snapshot", []);
+  liveSnapshots = [];
+  chainEpoch++;
+  for (const workspace of workspaces.values()) {
+    dropDeadSnapshots([...workspace.undoStack, ...workspace.checkpoints]);
+  }
   
   console.log(`Blockchain state reverted; new snapshot taken: ${snapshotId}, next block timestamp set to: ${baselineTimestamp}`);
 }
 
-;(async function bootstrap() {
+// Deploy the attack contract, approve it for WETH/USDC/NISC and call Attack().
+// All three blocks are mined at the current timestamp. Callers must re-enable automine on failure.
+// Each mined receipt is pushed to `receipts` as { label, receipt }, so callers can still account for gas when Attack() fails.
+// `deployment` holds the ABI-encoded constructor arguments and the deploy value in wei (see prepareDeployment).
+async function executeAttackTransactions(attacker, abi, bytecode, receipts = [], deployment = {}) {
+  const factory = new ethers.ContractFactory(abi, bytecode, attacker);
+  const constructorArgs = ethers.utils.defaultAbiCoder.decode(factory.interface.deploy.inputs, deployment.constructorArgs || '0x');
+
+  // Get current timestamp - we'll use this for deploy and approval blocks
+  const initialBlock = await provider.getBlock('latest');
+  const initialTimestamp = initialBlock.timestamp;
+
+  // ===== TRANSACTION 1: Deploy attack contract =====
+  await provider.send("evm_setNextBlockTimestamp", [initialTimestamp]);
+  const attackContract = await factory.deploy(...constructorArgs, { value: deployment.value || 0 });
+  await attackContract.deployed();
+  receipts.push({ label: "Deploy", receipt: await attackContract.deployTransaction.wait() });
+  console.log(`Attack contract deployed at: ${attackContract.address}`);
+
+  // ===== TRANSACTION 2: Batch all approvals in one block =====
+  await provider.send("evm_setAutomine", [false]);
+
+  // Approve WETH, USDC, and NISC for the attack contract
+  const erc20ABI = ["function approve(address spender, uint256 amount) returns (bool)"];
+  const maxApproval = ethers.constants.MaxUint256;
+
+  // Queue all approval transactions (won't mine yet)
+  const wethContract = new ethers.Contract(deployedConfig.weth, erc20ABI, attacker);
+  const wethApproval = await wethContract.approve(attackContract.address, maxApproval);
+
+  const usdcContract = new ethers.Contract(deployedConfig.usdc, erc20ABI, attacker);
+  const usdcApproval = await usdcContract.approve(attackContract.address, maxApproval);
+
+  const niscContract = new ethers.Contract(deployedConfig.nisc, erc20ABI, attacker);
+  const niscApproval = await niscContract.approve(attackContract.address, maxApproval);
+
+  // Mine approvals at same timestamp
+  await provider.send("evm_setNextBlockTimestamp", [initialTimestamp]);
+  await provider.send("evm_mine", []);
+  console.log(`All approvals mined in block at timestamp ${initialTimestamp}`);
+  receipts.push({ label: "Approve WETH", receipt: await wethApproval.wait() });
+  receipts.push({ label: "Approve USDC", receipt: await usdcApproval.wait() });
+  receipts.push({ label: "Approve NISC", receipt: await niscApproval.wait() });
+
+  // ===== TRANSACTION 3: Execute Attack() with same timestamp =====
+  // Clear console logs buffer and prepare to capture
+  consoleLogsBuffer = [];
+
+  // Send Attack() transaction (won't mine yet)
+  const tx = await attackContract.connect(attacker).Attack();
+  currentTxHash = tx.hash;
+  console.log(`Attack() transaction sent with hash: ${currentTxHash}`);
+
+  // Mine attack with same timestamp
+  await provider.send("evm_setNextBlockTimestamp", [initialTimestamp]);
+  await provider.send("evm_mine", []);
+  console.log(`Attack() mined in block at timestamp ${initialTimestamp}`);
+
+  // Wait for the Attack() transaction receipt
+  const receipt = await tx.wait();
+  console.log("Attack() function executed");
+  receipts.push({ label: "Attack()", receipt });
+
+  // Re-enable automine for subsequent operations
+  await provider.send("evm_setAutomine", [true]);
+  console.log("Automine re-enabled");
+
+  return { attackContract, tx, receipt };
+}
+
+// Wait for the Attack() transaction's console.log output and take it from the buffer
+async function collectConsoleLogs() {
+  await waitForConsoleLogs(currentTxHash);
+  const consoleLogs = consoleLogsBuffer.filter(log => 
+    !log.txHash || log.txHash === currentTxHash
+  ).map(log => log.message);
+  currentTxHash = null;
+  return consoleLogs;
+}
+
+// Decode receipt logs into named events with addresses resolved to contract names
+function parseReceiptEvents(logs, attackContractAddress, attackerAddress) {
+  return logs.map(log => {
+    const isUserGenerated = !knownEventHashes.has(log.topics[0]);
+    try {
+      // Special handling for Transfer and Approval events
+      if (log.topics[0] === ethers.utils.id("Transfer(address,address,uint256)") ||
+          log.topics[0] === ethers.utils.id("Approval(address,address,uint256)")) {
+        // ERC721 has 4 topics (event signature + 3 indexed params)
+        // ERC20 has 3 topics (event signature + 2 indexed params)
+        const isERC721 = log.topics.length === 4;
+        
+        // First two parameters are always indexed and in topics
+        const from = ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[1], 12));
+        const to = ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[2], 12));
+        
+        // Third parameter is either in topics (ERC721) or data (ERC20)
+        let thirdParam;
+        if (isERC721) {
+          thirdParam = ethers.BigNumber.from(log.topics[3]).toString();
+        } else {
+          thirdParam = ethers.BigNumber.from(log.data).toString();
+        }
+
+        const argsDict = {
+          from,
+          to,
+          [isERC721 ? 'tokenId' : 'value']: thirdParam
+        };
+
+        // Resolve addresses to contract names
+        const resolvedArgs = resolveEventArguments(argsDict, attackContractAddress, attackerAddress);
+
+        return {
+          event: log.topics[0] === ethers.utils.id("Transfer(address,address,uint256)") ? "Transfer" : "Approval",
+          arguments: resolvedArgs,
+          eventSignature: isERC721 ? 
+            (log.topics[0] === ethers.utils.id("Transfer(address,address,uint256)") ? 
+              "Transfer(address indexed from, address indexed to, uint256 indexed tokenId)" :
+              "Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)") :
+            (log.topics[0] === ethers.utils.id("Transfer(address,address,uint256)") ? 
+              "Transfer(address indexed from, address indexed to, uint256 value)" :
+              "Approval(address indexed owner, address indexed spender, uint256 value)"),
+          isUserGenerated
+        };
+      }
+
+      // Handle other events normally
+      const parsedLog = eventsInterface.parseLog(log);
+      const argsDict = {};
+      Object.keys(parsedLog.args)
+        .filter(key => isNaN(key))
+        .forEach(key => {
+          const argVal = parsedLog.args[key];
+          argsDict[key] = (argVal && typeof argVal.toString === "function") ? argVal.toString() : argVal;
+        });
+      
+      // Resolve addresses to contract names
+      const resolvedArgs = resolveEventArguments(argsDict, attackContractAddress, attackerAddress);
+      
+      return {
+        event: parsedLog.name,
+        arguments: resolvedArgs,
+        eventSignature: parsedLog.eventFragment.format(ethers.utils.FormatTypes.full),
+        isUserGenerated
+      };
+    } catch (e) {
+      try {
+        const argsDict = {};
+        Object.keys(log.args)
+          .filter(key => isNaN(key))
+          .forEach(key => {
+            const argVal = log.args[key];
+            argsDict[key] = (argVal && typeof argVal.toString === "function") ? argVal.toString() : argVal;
+          });
+        
+        // Resolve addresses to contract names
+        const resolvedArgs = resolveEventArguments(argsDict, attackContractAddress, attackerAddress);
+        
+        return {
+          event: log.event,
+          arguments: resolvedArgs,
+          eventSignature: log.eventSignature,
+          isUserGenerated
+        };
+      }
+      catch {
+        console.log("Log could not be parsed with provided interface:");
+        return {
+          event: "Unknown",
+          arguments: {},
+          isUserGenerated
+        };
+      }
+    }
+  });
+}
+
+// Extract the revert reason from a failed Attack() transaction
+function extractRevertReason(runtimeError) {
+  let reason = "";
+  try {
+    reason = JSON.parse(runtimeError?.error?.body).error?.data?.message;
+    if (!reason || reason.trim() === "") {
+      reason = "Transaction reverted without a reason.";
+    }
+  } catch (jsonError) {
+    reason = "Transaction reverted (failed to parse error message).";
+  }
+  return reason;
+}
+
+// Raw revert data of a failed transaction, as reported by the node
+function extractRevertData(runtimeError) {
+  try {
+    const data = JSON.parse(runtimeError?.error?.body).error?.data;
+    return typeof data === 'string' ? data : data?.data || null;
+  } catch (err) {
+    return typeof runtimeError?.data === 'string' ? runtimeError.data : null;
+  }
+}
+
+// Explain why an attack failed: the decoded error and, when Attack() itself reverted, the contract that raised it.
+// Attack() never gets mined when it reverts, so the call is traced against the current state instead.
+async function explainAttackFailure(runtimeError, attackReceipts, abi, attackerAddress) {
+  const reason = extractRevertReason(runtimeError);
+  const abiIndex = await getArtifactAbiIndex();
+  const userInterface = new ethers.utils.Interface(abi);
+  const deployment = attackReceipts.find(entry => entry.label === "Deploy");
+  const attackContractAddress = deployment ? deployment.receipt.contractAddress : undefined;
+  const resolve = (values) => resolveEventArguments(values, attackContractAddress, attackerAddress);
+
+  let revertData = extractRevertData(runtimeError);
+  let revertedIn = null;
+
+  const attackCallFailed = attackContractAddress && !attackReceipts.some(entry => entry.label === "Attack()");
+  if (attackCallFailed) {
+    try {
+      const tree = await buildCallTree({
+        rpcUrl: RPC_URL,
+        tx: { from: attackerAddress, to: attackContractAddress, data: userInterface.encodeFunctionData("Attack"), value: 0 },
+        getCode: (address) => provider.getCode(address)
+      });
+      const described = describeCallFrame(tree, { abiIndex, userInterface, attackContractAddress, attackerAddress });
+      if (!described.success) {
+        const origin = findRevertOrigin(described);
+        revertData = origin.output;
+        revertedIn = { address: origin.to, name: origin.toName, contract: origin.contract, function: origin.function };
+      }
+    } catch (traceError) {
+      console.error("Error tracing failed Attack() call:", traceError);
+    }
+  }
+
+  const revert = decodeRevertData(revertData, abiIndex, userInterface, resolve);
+  if (!revert) {
+    return { message: reason, revert: null };
+  }
+
+  const location = revertedIn
+    ? ` in ${revertedIn.name}${revertedIn.function ? '.' + revertedIn.function.split('(')[0] : ''}`
+    : "";
+  return {
+    message: `Transaction reverted${location}: ${formatRevert(revert)}`,
+    revert: { ...revert, revertedIn }
+  };
+}
+
+// Compile the protocol, start a fresh Hardhat node, deploy the initial state and take the initial snapshot.
+// The server starts listening once this is done; the command-line tools in scripts/ use it to replay on a fresh node.
+async function startChain() {
 
     // Compile contracts first to ensure ABIs are available for error decoding
     await CompileContracts();
@@ -327,23 +918,20 @@ async function revertState() {
     // Verify the timestamp
     const verifyBlock = await provider.getBlock('latest');
     console.log(`Timestamp locked at: ${verifyBlock.timestamp} (expected: ${baselineTimestamp})`);
+    baselineBlockNumber = verifyBlock.number;
     
     // Take initial snapshot
     snapshotId = await provider.send("evm_snapshot", []);
     
     // Immediately set next block timestamp to baseline again to prevent drift before first attack
     await provider.send("evm_setNextBlockTimestamp", [baselineTimestamp]);
-    
-    const mutex = new Mutex();
+}
 
 app.post('/revert', async (req, res) => {
   const release = await mutex.acquire();
   try {
-    await revertState();
-    // Clear user's history when reverting state
-    userHistory.length = 0;
-    // Keep the current mode state (don't force enable)
-    console.log("History cleared due to state revert. Normal mode:", isNormalMode);
+    const workspace = getWorkspace(req);
+    await resetWorkspace(workspace);
     res.json({ success: true });
   } catch (err) {
     console.error("Error reverting blockchain state:", err);
@@ -356,251 +944,140 @@ app.post('/revert', async (req, res) => {
 app.post('/submit-attack', async (req, res) => {
   const release = await mutex.acquire();
   try {
-    const { code, replayMode, replayFile } = req.body;
+    const { replayMode, replayFile } = req.body;
+    const sources = getSubmittedSources(req.body);
     
-    if (!code && !replayMode) {
+    if (!sources && !replayMode) {
       release();
       return res.status(400).json({ error: "Missing code" });
     }
     
+    const workspace = getWorkspace(req);
+    await activateWorkspace(workspace);
     const attacker = await getAttacker();
     
     // Handle replay mode
     if (replayMode && replayFile) {
+      let replayData;
       try {
-        const replayData = JSON.parse(replayFile);
-        return await executeReplay(replayData, attacker, res);
+        replayData = JSON.parse(replayFile);
       } catch (err) {
         release();
         return res.status(400).json({ error: "Invalid replay file format" });
       }
+      return await executeReplay(replayData, attacker, workspace, res, {
+        ignoreFingerprint: req.body.ignoreFingerprint === true,
+        ignoreIntegrity: req.body.ignoreIntegrity === true,
+        verify: req.body.verify === true,
+        checkScores: req.body.checkScores === true,
+        fromAttack: req.body.fromAttack,
+        toAttack: req.body.toAttack,
+        continueOnError: req.body.continueOnError === true
+      });
     }
 
-    let abi, bytecode;
+    let abi, bytecode, contractName, compilerVersion, compilerMessages, deployment;
     try {
-      ({ abi, bytecode } = compileSolidity(code));
-      console.log("Compilation successful");
+      ({ abi, bytecode, contractName, compilerVersion, compilerMessages } = compileSolidity(sources, req.body.contractName));
+      deployment = prepareDeployment(abi, req.body);
+      console.log(`Compilation successful, deploying ${contractName}`);
     } catch (compilationError) {
       console.error("Compilation error:", compilationError);
       release();
-      return res.status(400).json({ error: sanitizeErrorMessage(compilationError.message) });
+      return res.status(400).json({
+        error: sanitizeErrorMessage(compilationError.message),
+        compilerMessages: compilationError.compilerMessages
+      });
     }
     
-    const factory = new ethers.ContractFactory(abi, bytecode, attacker);
+    // From here on the chain is modified, even if the attack reverts, so remember the state to undo to
+    workspace.undoStack.push(await captureRestorePoint(workspace));
+    if (workspace.undoStack.length > MAX_UNDO_STEPS) {
+      // Hardhat cannot free the dropped point's snapshot on its own; it goes with the next revert (see MAX_LIVE_SNAPSHOTS)
+      workspace.undoStack.shift();
+    }
+    workspace.journal.push({ type: 'attack', abi, bytecode, deployment });
     
+    const attackerAddress = await attacker.getAddress();
+    const balancesBefore = await captureBalances(getTrackedAddresses(attackerAddress));
+
     let attackContract;
+    const attackReceipts = [];
 
     try {
-      // Get current timestamp - we'll use this for deploy and approval blocks
-      const initialBlock = await provider.getBlock('latest');
-      const initialTimestamp = initialBlock.timestamp;
-      
-      // ===== TRANSACTION 1: Deploy attack contract =====
-      await provider.send("evm_setNextBlockTimestamp", [initialTimestamp]);
-      attackContract = await factory.deploy();
-      await attackContract.deployed();
-      console.log(`Attack contract deployed at: ${attackContract.address}`);
-      
-      // ===== TRANSACTION 2: Batch all approvals in one block =====
-      await provider.send("evm_setAutomine", [false]);
-      
-      // Capture the deployment transaction with source code
-      const deploymentTx = {code: code};
-       
-      // Approve WETH, USDC, and NISC for the attack contract
-      const erc20ABI = ["function approve(address spender, uint256 amount) returns (bool)"];
-      const maxApproval = ethers.constants.MaxUint256;
-      
-      // Queue all approval transactions (won't mine yet)
-      const wethContract = new ethers.Contract(deployedConfig.weth, erc20ABI, attacker);
-      const wethApproveTx = await wethContract.approve(attackContract.address, maxApproval);
-      
-      const usdcContract = new ethers.Contract(deployedConfig.usdc, erc20ABI, attacker);
-      const usdcApproveTx = await usdcContract.approve(attackContract.address, maxApproval);
+      let receipt;
+      ({ attackContract, receipt } = await executeAttackTransactions(attacker, abi, bytecode, attackReceipts, deployment));
       
-      const niscContract = new ethers.Contract(deployedConfig.nisc, erc20ABI, attacker);
-      const niscApproveTx = await niscContract.approve(attackContract.address, maxApproval);
+      // Collect console logs for this transaction once they have been captured from stdout
+      const consoleLogs = await collectConsoleLogs();
       
-      // Mine approvals at same timestamp
-      await provider.send("evm_setNextBlockTimestamp", [initialTimestamp]);
-      await provider.send("evm_mine", []);
-      console.log(`All approvals mined in block at timestamp ${initialTimestamp}`);
-      
-      // ===== TRANSACTION 3: Execute Attack() with timestamp +1 =====
-      // Clear console logs buffer and prepare to capture
-      consoleLogsBuffer = [];
-      
-      // Send Attack() transaction (won't mine yet)
-      const tx = await attackContract.connect(attacker).Attack();
-      currentTxHash = tx.hash;
-      console.log(`Attack() transaction sent with hash: ${currentTxHash}`);
-      
-      // Mine attack with timestamp +1 second
-      await provider.send("evm_setNextBlockTimestamp", [initialTimestamp ]);
-      await provider.send("evm_mine", []);
-      console.log(`Attack() mined in block at timestamp ${initialTimestamp}`);
-      
-      // Wait for the Attack() transaction receipt
-      const receipt = await tx.wait();
-      console.log("Attack() function executed");
-      
-      // Re-enable automine for subsequent operations
-      await provider.send("evm_setAutomine", [true]);
-      console.log("Automine re-enabled");
-      
-      // Wait for console logs to be captured from stdout
-      await waitForConsoleLogs(currentTxHash);
-      
-      // Collect console logs for this transaction
-      const consoleLogs = consoleLogsBuffer.filter(log => 
-        !log.txHash || log.txHash === currentTxHash
-      ).map(log => log.message);
-      currentTxHash = null;
-      
-      // Get attacker address for event resolution
-      const attackerAddress = await attacker.getAddress();
-      
-      const parsedEvents = receipt.logs.map(log => {
-        const isUserGenerated = !knownEventHashes.has(log.topics[0]);
-        try {
-          // Special handling for Transfer and Approval events
-          if (log.topics[0] === ethers.utils.id("Transfer(address,address,uint256)") ||
-              log.topics[0] === ethers.utils.id("Approval(address,address,uint256)")) {
-            // ERC721 has 4 topics (event signature + 3 indexed params)
-            // ERC20 has 3 topics (event signature + 2 indexed params)
-            const isERC721 = log.topics.length === 4;
-            
-            // First two parameters are always indexed and in topics
-            const from = ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[1], 12));
-            const to = ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[2], 12));
-            
-            // Third parameter is either in topics (ERC721) or data (ERC20)
-            let thirdParam;
-            if (isERC721) {
-              thirdParam = ethers.BigNumber.from(log.topics[3]).toString();
-            } else {
-              thirdParam = ethers.BigNumber.from(log.data).toString();
-            }
+      const parsedEvents = parseReceiptEvents(receipt.logs, attackContract.address, attackerAddress);
 
-            const argsDict = {
-              from,
-              to,
-              [isERC721 ? 'tokenId' : 'value']: thirdParam
-            };
-
-            // Resolve addresses to contract names
-            const resolvedArgs = resolveEventArguments(argsDict, attackContract.address, attackerAddress);
-
-            return {
-              event: log.topics[0] === ethers.utils.id("Transfer(address,address,uint256)") ? "Transfer" : "Approval",
-              arguments: resolvedArgs,
-              eventSignature: isERC721 ? 
-                (log.topics[0] === ethers.utils.id("Transfer(address,address,uint256)") ? 
-                  "Transfer(address indexed from, address indexed to, uint256 indexed tokenId)" :
-                  "Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)") :
-                (log.topics[0] === ethers.utils.id("Transfer(address,address,uint256)") ? 
-                  "Transfer(address indexed from, address indexed to, uint256 value)" :
-                  "Approval(address indexed owner, address indexed spender, uint256 value)"),
-              isUserGenerated
-            };
-          }
-
-          // Handle other events normally
-          const parsedLog = eventsInterface.parseLog(log);
-          const argsDict = {};
-          Object.keys(parsedLog.args)
-            .filter(key => isNaN(key))
-            .forEach(key => {
-              const argVal = parsedLog.args[key];
-              argsDict[key] = (argVal && typeof argVal.toString === "function") ? argVal.toString() : argVal;
-            });
-          
-          // Resolve addresses to contract names
-          const resolvedArgs = resolveEventArguments(argsDict, attackContract.address, attackerAddress);
-          
-          return {
-            event: parsedLog.name,
-            arguments: resolvedArgs,
-            eventSignature: parsedLog.eventFragment.format(ethers.utils.FormatTypes.full),
-            isUserGenerated
-          };
-        } catch (e) {
-          try {
-            const argsDict = {};
-            Object.keys(log.args)
-              .filter(key => isNaN(key))
-              .forEach(key => {
-                const argVal = log.args[key];
-                argsDict[key] = (argVal && typeof argVal.toString === "function") ? argVal.toString() : argVal;
-              });
-            
-            // Resolve addresses to contract names
-            const resolvedArgs = resolveEventArguments(argsDict, attackContract.address, attackerAddress);
-            
-            return {
-              event: log.event,
-              arguments: resolvedArgs,
-              eventSignature: log.eventSignature,
-              isUserGenerated
-            };
-          }
-          catch {
-            console.log("Log could not be parsed with provided interface:");
-            return {
-              event: "Unknown",
-              arguments: {},
-              isUserGenerated
-            };
-          }
-        }
-      });
+      // Rebuild the call tree of the Attack() transaction; a failed trace must not fail the submission
+      let callTrace = null;
+      let callTraceError;
+      try {
+        callTrace = await fetchCallTrace(receipt.transactionHash, attackContract.interface, attackContract.address, attackerAddress);
+      } catch (traceError) {
+        console.error("Error building call trace:", traceError);
+        callTraceError = traceError.message;
+      }
 
       const balance = await calculateTotalWorthInETH(attackerAddress);
       console.log(`Attacker final total worth (in ETH): ${balance}`);
+
+      const trackedAddresses = getTrackedAddresses(attackerAddress, attackContract.address);
+      const balanceChanges = buildBalanceChanges(trackedAddresses, balancesBefore, await captureBalances(trackedAddresses));
+
+      const gasSummary = summarizeTransactionGas(attackReceipts);
+      const gas = buildGasReport(gasSummary, recordGasSpent(workspace, gasSummary), callTrace);
       
-      if (isNormalMode) {
-        userHistory.push(deploymentTx);
+      if (workspace.isNormalMode) {
+        // Capture the deployment transaction with source code and what a replay should reproduce
+        const historyEntry = withReplayMetadata(toHistoryEntry(sources, req.body.contractName, deployment), workspace, compilerVersion, balance);
+        historyResults.set(historyEntry, summarizeHistoryResult({ contractAddress: attackContract.address, score: balance, gas, events: parsedEvents, consoleLogs }));
+        workspace.userHistory.push(historyEntry);
         console.log("History data recorded");
       } else {
         console.log("History recording disabled - in Exploration Mode");
       }
       
-      res.json({ 
+      const result = { 
         success: true, 
         score: balance, 
+        compilerMessages,
+        balanceChanges,
+        gas,
         events: parsedEvents,
-        consoleLogs: consoleLogs.length > 0 ? consoleLogs : undefined
-      });
+        consoleLogs: consoleLogs.length > 0 ? consoleLogs : undefined,
+        callTrace,
+        callTraceError
+      };
+      workspace.results.push({ timestamp: Date.now(), ...result });
+      res.json(result);
     } catch (runtimeError) {
       // Re-enable automine in case of error
       await provider.send("evm_setAutomine", [true]);
       console.log("Automine re-enabled after error");
       
-      // Wait for console logs to be captured from stdout (even on error)
-      await waitForConsoleLogs(currentTxHash);
-      
       // Collect console logs even on error
-      const consoleLogs = consoleLogsBuffer.filter(log => 
-        !log.txHash || log.txHash === currentTxHash
-      ).map(log => log.message);
-      currentTxHash = null;
+      const consoleLogs = await collectConsoleLogs();
       
-      // console.error("Runtime error during Attack execution:", runtimeError);
-      const fullError = JSON.stringify(runtimeError, Object.getOwnPropertyNames(runtimeError), 2);
-      // console.error("Full error details:", fullError);
-      let reason = "";
-      try {
-        reason = JSON.parse(runtimeError?.error?.body).error?.data?.message;
-        if (!reason || reason.trim() === "") {
-          reason = "Transaction reverted without a reason.";
-        }
-      } catch (jsonError) {
-        reason = "Transaction reverted (failed to parse error message).";
-      }
-      res.status(400).json({ 
-        error: sanitizeErrorMessage(reason),
+      const failure = await explainAttackFailure(runtimeError, attackReceipts, abi, attackerAddress);
+
+      // The deployment and approvals are mined even when Attack() fails
+      const gasSummary = summarizeTransactionGas(attackReceipts);
+      const gas = buildGasReport(gasSummary, recordGasSpent(workspace, gasSummary), null);
+
+      const result = { 
+        error: sanitizeErrorMessage(failure.message),
+        revert: failure.revert,
+        compilerMessages,
+        gas,
         consoleLogs: consoleLogs.length > 0 ? consoleLogs : undefined
-      });
+      };
+      workspace.results.push({ timestamp: Date.now(), ...result });
+      res.status(400).json(result);
     }
 
    
@@ -619,46 +1096,150 @@ app.post('/submit-attack', async (req, res) => {
   }
 });
 
-// Start the server only after everything is initialized
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`✓ Server is listening on port ${PORT}`);
-  console.log('✓ All systems ready - you can now submit attacks!');
-});
-})();
+// Run an attack exactly like /submit-attack, but inside a temporary snapshot that is reverted afterwards.
+// Neither the chain, the journal nor the history of the workspace changes.
+app.post('/simulate-attack', async (req, res) => {
+  const release = await mutex.acquire();
+  let simulationSnapshot = null;
+  try {
+    const sources = getSubmittedSources(req.body);
+    if (!sources) {
+      return res.status(400).json({ error: "Missing code" });
+    }
 
+    const workspace = getWorkspace(req);
+    await activateWorkspace(workspace);
+    const attacker = await getAttacker();
+    const attackerAddress = await attacker.getAddress();
 
-// Fixed signer for fairness: all attack contracts deploy using this signer.
-async function getAttacker() {
-  const accounts = await provider.listAccounts();
-  return provider.getSigner(accounts[0]); // the attacker is now the eighth signer (index 7)
-}
-async function getUsdcSigner() {
-  const accounts = await provider.listAccounts();
-  return provider.getSigner(accounts[2]); // the USDC owner is the second signer
-}
+    let abi, bytecode, compilerMessages, deployment;
+    try {
+      ({ abi, bytecode, compilerMessages } = compileSolidity(sources, req.body.contractName));
+      deployment = prepareDeployment(abi, req.body);
+    } catch (compilationError) {
+      console.error("Compilation error:", compilationError);
+      return res.status(400).json({
+        error: sanitizeErrorMessage(compilationError.message),
+        compilerMessages: compilationError.compilerMessages
+      });
+    }
 
-// Helper function to calculate total worth of attacker's assets in ETH
-async function calculateTotalWorthInETH(attackerAddress) {
-  try {
-    // Load contract interfaces
-    const ERC20 = await ethers.getContractFactory("USDC");
-    const PriceOracle = await ethers.getContractFactory("PriceOracle");
-    
-    // Get PriceOracle instance
-    const priceOracle = new ethers.Contract(deployedConfig.priceOracle, PriceOracle.interface, provider);
-    
-    // Get token contract instances
-    const wethContract = new ethers.Contract(deployedConfig.weth, ERC20.interface, provider);
-    const usdcContract = new ethers.Contract(deployedConfig.usdc, ERC20.interface, provider);
-    const niscContract = new ethers.Contract(deployedConfig.nisc, ERC20.interface, provider);
-    
-    // Get balances
-    const ethBalance = await provider.getBalance(attackerAddress);
-    const wethBalance = await wethContract.balanceOf(attackerAddress);
-    const usdcBalance = await usdcContract.balanceOf(attackerAddress);
-    const niscBalance = await niscContract.balanceOf(attackerAddress);
-    
+    const scoreBefore = await calculateTotalWorthInETH(attackerAddress);
+    const balancesBefore = await captureBalances(getTrackedAddresses(attackerAddress));
+
+    simulationSnapshot = await takeSnapshot();
+    console.log(`Simulating attack in temporary snapshot ${simulationSnapshot}`);
+
+    // Simulated gas is reported but not added to the workspace total
+    const attackReceipts = [];
+    try {
+      const { attackContract, receipt } = await executeAttackTransactions(attacker, abi, bytecode, attackReceipts, deployment);
+      const consoleLogs = await collectConsoleLogs();
+      const parsedEvents = parseReceiptEvents(receipt.logs, attackContract.address, attackerAddress);
+
+      const score = await calculateTotalWorthInETH(attackerAddress);
+      const trackedAddresses = getTrackedAddresses(attackerAddress, attackContract.address);
+      const balancesAfter = await captureBalances(trackedAddresses);
+
+      res.json({
+        success: true,
+        simulated: true,
+        score,
+        scoreBefore,
+        scoreDelta: score - scoreBefore,
+        compilerMessages,
+        balanceChanges: buildBalanceChanges(trackedAddresses, balancesBefore, balancesAfter),
+        gas: buildGasReport(summarizeTransactionGas(attackReceipts), describeGasSpent(workspace), null),
+        events: parsedEvents,
+        consoleLogs: consoleLogs.length > 0 ? consoleLogs : undefined
+      });
+    } catch (runtimeError) {
+      await provider.send("evm_setAutomine", [true]);
+      const consoleLogs = await collectConsoleLogs();
+      const failure = await explainAttackFailure(runtimeError, attackReceipts, abi, attackerAddress);
+      res.status(400).json({
+        simulated: true,
+        error: sanitizeErrorMessage(failure.message),
+        revert: failure.revert,
+        compilerMessages,
+        gas: buildGasReport(summarizeTransactionGas(attackReceipts), describeGasSpent(workspace), null),
+        consoleLogs: consoleLogs.length > 0 ? consoleLogs : undefined
+      });
+    }
+  } catch (err) {
+    try {
+      await provider.send("evm_setAutomine", [true]);
+    } catch (automineError) {
+      console.error("Failed to re-enable automine:", automineError);
+    }
+    console.error("Error simulating attack:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (simulationSnapshot !== null) {
+      try {
+        await revertToSnapshot(simulationSnapshot);
+        console.log(`Simulation reverted to snapshot ${simulationSnapshot}`);
+      } catch (revertError) {
+        // The chain no longer matches the workspace journal; force a rebuild on next access
+        console.error("Failed to revert simulation snapshot:", revertError);
+        activeWorkspace = null;
+      }
+    }
+    release();
+  }
+});
+
+// Start the server only after everything is initialized.
+// When required by a script, only the functions exported at the end of this file are used.
+const PORT = process.env.PORT || 3000;
+if (require.main === module) {
+  startChain().then(() => {
+    app.listen(PORT, () => {
+      console.log(`✓ Server is listening on port ${PORT}`);
+      console.log('✓ All systems ready - you can now submit attacks!');
+      setInterval(() => {
+        evictIdleWorkspaces().catch(err => console.error("Error evicting idle workspaces:", err));
+      }, WORKSPACE_SWEEP_INTERVAL_MS).unref();
+      const saved = listSavedWorkspaces();
+      if (saved.length > 0) {
+        console.log(`✓ ${saved.length} saved workspace(s) found in ${WORKSPACES_DIR} - open the page in the browser that saved it to restore it`);
+      }
+    });
+  });
+}
+
+
+// Fixed signer for fairness: all attack contracts deploy using this signer.
+async function getAttacker() {
+  const accounts = await provider.listAccounts();
+  return provider.getSigner(accounts[0]); // the attacker is now the eighth signer (index 7)
+}
+async function getUsdcSigner() {
+  const accounts = await provider.listAccounts();
+  return provider.getSigner(accounts[2]); // the USDC owner is the second signer
+}
+
+// Helper function to calculate total worth of attacker's assets in ETH
+async function calculateTotalWorthInETH(attackerAddress) {
+  try {
+    // Load contract interfaces
+    const ERC20 = await ethers.getContractFactory("USDC");
+    const PriceOracle = await ethers.getContractFactory("PriceOracle");
+    
+    // Get PriceOracle instance
+    const priceOracle = new ethers.Contract(deployedConfig.priceOracle, PriceOracle.interface, provider);
+    
+    // Get token contract instances
+    const wethContract = new ethers.Contract(deployedConfig.weth, ERC20.interface, provider);
+    const usdcContract = new ethers.Contract(deployedConfig.usdc, ERC20.interface, provider);
+    const niscContract = new ethers.Contract(deployedConfig.nisc, ERC20.interface, provider);
+    
+    // Get balances
+    const ethBalance = await provider.getBalance(attackerAddress);
+    const wethBalance = await wethContract.balanceOf(attackerAddress);
+    const usdcBalance = await usdcContract.balanceOf(attackerAddress);
+    const niscBalance = await niscContract.balanceOf(attackerAddress);
+    
     // Get prices from oracle (prices are in 1e18 precision, denominated in USDC)
     const wethPrice = await priceOracle.getPrice(deployedConfig.weth); // WETH price in USDC (1e18)
     const usdcPrice = await priceOracle.getPrice(deployedConfig.usdc); // USDC price in USDC (should be 1e18)
@@ -692,6 +1273,80 @@ async function calculateTotalWorthInETH(attackerAddress) {
   }
 }
 
+const TOKEN_DECIMALS = { eth: 18, weth: 18, usdc: 6, nisc: 18 };
+
+// Raw ETH, WETH, USDC and NISC balances of an address
+async function getTokenBalances(address) {
+  const ERC20 = await ethers.getContractFactory("USDC");
+  const balanceOf = (token) => new ethers.Contract(deployedConfig[token], ERC20.interface, provider).balanceOf(address);
+  return {
+    eth: await provider.getBalance(address),
+    weth: await balanceOf('weth'),
+    usdc: await balanceOf('usdc'),
+    nisc: await balanceOf('nisc')
+  };
+}
+
+// Before, after and delta of every token, formatted in token units
+function diffTokenBalances(before, after) {
+  const diff = {};
+  for (const [token, decimals] of Object.entries(TOKEN_DECIMALS)) {
+    diff[token] = {
+      before: ethers.utils.formatUnits(before[token], decimals),
+      after: ethers.utils.formatUnits(after[token], decimals),
+      delta: ethers.utils.formatUnits(after[token].sub(before[token]), decimals)
+    };
+  }
+  return diff;
+}
+
+// Attacker, AttackContract and every deployed protocol address, deduplicated by address
+function getTrackedAddresses(attackerAddress, attackContractAddress) {
+  const tracked = [{ name: "Attacker", address: attackerAddress }];
+  if (attackContractAddress) {
+    tracked.push({ name: "AttackContract", address: attackContractAddress });
+  }
+  for (const [key, value] of Object.entries(deployedConfig)) {
+    if (key === 'attackTime') continue;
+    const addresses = Array.isArray(value) ? value : [value];
+    for (const address of addresses) {
+      if (typeof address !== 'string') continue;
+      if (tracked.some(entry => entry.address.toLowerCase() === address.toLowerCase())) continue;
+      tracked.push({ name: resolveAddressToName(address), address });
+    }
+  }
+  return tracked;
+}
+
+// Token balances and total worth in ETH of every tracked address, keyed by lowercase address
+async function captureBalances(tracked) {
+  const captured = new Map();
+  for (const { address } of tracked) {
+    captured.set(address.toLowerCase(), {
+      balances: await getTokenBalances(address),
+      worth: await calculateTotalWorthInETH(address)
+    });
+  }
+  return captured;
+}
+
+// Before/after table of every tracked address. Addresses missing from `before` (e.g. a freshly deployed AttackContract) start at zero.
+function buildBalanceChanges(tracked, before, after) {
+  const zero = ethers.constants.Zero;
+  const empty = { balances: { eth: zero, weth: zero, usdc: zero, nisc: zero }, worth: 0 };
+  return tracked.map(({ name, address }) => {
+    const previous = before.get(address.toLowerCase()) || empty;
+    const current = after.get(address.toLowerCase()) || empty;
+    return {
+      name,
+      address,
+      ...diffTokenBalances(previous.balances, current.balances),
+      worthInEth: { before: previous.worth, after: current.worth, delta: current.worth - previous.worth },
+      changed: Object.keys(TOKEN_DECIMALS).some(token => !previous.balances[token].eq(current.balances[token]))
+    };
+  });
+}
+
 // Simple sanitizer to remove potential HTML injection vectors.
 function sanitizeErrorMessage(message) {
   return message.replace(/[<>]/g, '');
@@ -767,197 +1422,800 @@ function resolveEventArguments(args, attackContractAddress, attackerAddress) {
   return resolved;
 }
 
-let compilerLock = false;
+// Function and constructor fragments of every compiled Hardhat artifact, built on first use
+let artifactAbiIndex = null;
 
-// Modify the compilation function
-function compileSolidity(sourceCode) {
-  if (compilerLock) {
-    throw new Error("Compiler is busy. Please try again in a moment.");
-  }
-  
-  try {
-    compilerLock = true;
-    
-    // Load a fresh instance of solc
-    delete require.cache[require.resolve('solc')];
-    const freshSolc = require('solc');
-    
-    const pragmaRegex = /pragma solidity\s+([^;]+);/;
-    const pragmaMatch = sourceCode.match(pragmaRegex);
-    if (!pragmaMatch) {
-      throw new Error("Compilation failed: Solidity version pragma not found. Please include a valid 'pragma solidity ^0.8.0;' statement.");
+async function getArtifactAbiIndex() {
+  if (artifactAbiIndex) return artifactAbiIndex;
+
+  const functions = new Map(); // selector -> [{ contractName, iface, fragment }]
+  const errors = new Map();    // selector -> [{ contractName, iface, fragment }], including OpenZeppelin's IERC*Errors
+  const events = new Map();    // topic -> [{ contractName, iface, fragment }], one per distinct indexed layout
+  const creationCodes = [];    // [{ contractName, iface, bytecode }]
+  const seenSignatures = new Set();
+  const seenErrors = new Set();
+  const seenEvents = new Set();
+
+  for (const fullName of await artifacts.getAllFullyQualifiedNames()) {
+    const artifact = await artifacts.readArtifact(fullName);
+    if (artifact.abi.length === 0) continue;
+    const iface = new ethers.utils.Interface(artifact.abi);
+
+    for (const fragment of Object.values(iface.functions)) {
+      const signature = fragment.format();
+      if (seenSignatures.has(signature)) continue;
+      seenSignatures.add(signature);
+      const selector = iface.getSighash(fragment);
+      if (!functions.has(selector)) functions.set(selector, []);
+      functions.get(selector).push({ contractName: artifact.contractName, iface, fragment });
     }
-    const version = pragmaMatch[1].trim();
-    if (!version.includes("0.8")) {
-      throw new Error(`Compilation failed: Unsupported Solidity version '${version}'. Please use a version compatible with '^0.8.0'.`);
+
+    for (const fragment of Object.values(iface.errors)) {
+      const signature = fragment.format();
+      if (seenErrors.has(signature)) continue;
+      seenErrors.add(signature);
+      const selector = iface.getSighash(fragment);
+      if (!errors.has(selector)) errors.set(selector, []);
+      errors.get(selector).push({ contractName: artifact.contractName, iface, fragment });
     }
-    if (!/function\s+Attack\s*\(/.test(sourceCode)) {
-      throw new Error("Compilation failed: Expected function 'Attack()' not found. Please ensure your contract includes a function called 'Attack()' with a capital 'A'.");
+
+    for (const fragment of Object.values(iface.events)) {
+      const signature = fragment.format(ethers.utils.FormatTypes.full);
+      if (seenEvents.has(signature)) continue;
+      seenEvents.add(signature);
+      const topic = iface.getEventTopic(fragment);
+      if (!events.has(topic)) events.set(topic, []);
+      events.get(topic).push({ contractName: artifact.contractName, iface, fragment });
     }
 
-    // Validate imports before compilation
-    const importRegex = /import\s+["']([^"']+)["']/g;
-    let match;
-    while ((match = importRegex.exec(sourceCode)) !== null) {
-      const importPath = match[1];
-      if (importPath.includes("..")) {
-        throw new Error("Compilation failed: Directory traversal in import paths is not allowed.");
-      }
+    if (artifact.bytecode && artifact.bytecode.length > 2) {
+      creationCodes.push({ contractName: artifact.contractName, iface, bytecode: artifact.bytecode.toLowerCase() });
     }
+  }
 
-    const input = {
-      language: 'Solidity',
-      sources: {
-        'AttackContract.sol': { content: sourceCode }
-      },
-      settings: {
-        optimizer: { enabled: true, runs: 200 },
-        outputSelection: { '*': { '*': ['abi', 'evm.bytecode'] } }
-      }
-    };
+  artifactAbiIndex = { functions, errors, events, creationCodes };
+  return artifactAbiIndex;
+}
 
-    const output = JSON.parse(freshSolc.compile(JSON.stringify(input), { import: findImports }));
-    
-    if (output.errors) {
-      const errors = output.errors.filter(err => err.severity === 'error');
-      if (errors.length > 0) {
-        throw new Error("Compilation error:\n" + errors.map(err => err.formattedMessage).join("\n"));
-      }
+// Convert decoded ABI values into plain JSON: BigNumbers become strings, structs become objects
+function formatAbiValues(params, values) {
+  const formatted = {};
+  params.forEach((param, index) => {
+    formatted[param.name || String(index)] = formatAbiValue(param, values[index]);
+  });
+  return formatted;
+}
+
+function formatAbiValue(param, value) {
+  if (param.baseType === 'array') {
+    return value.map(item => formatAbiValue(param.arrayChildren, item));
+  }
+  if (param.baseType === 'tuple') {
+    return formatAbiValues(param.components, value);
+  }
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  return value;
+}
+
+// Meaning of the Solidity Panic(uint256) codes
+const PANIC_REASONS = {
+  "0x00": "Generic compiler inserted panic",
+  "0x01": "Assertion failed",
+  "0x11": "Arithmetic overflow or underflow",
+  "0x12": "Division or modulo by zero",
+  "0x21": "Invalid enum value",
+  "0x22": "Incorrectly encoded storage byte array",
+  "0x31": "pop() on an empty array",
+  "0x32": "Array index out of bounds",
+  "0x41": "Too much memory allocated",
+  "0x51": "Call to an uninitialized internal function"
+};
+
+// Decode revert data as Error(string), Panic(uint256) or a custom error of the user's contract or any compiled artifact.
+// `resolve` maps decoded addresses to contract names.
+function decodeRevertData(data, abiIndex, userInterface, resolve) {
+  if (!data || data === "0x") return null;
+  const selector = data.slice(0, 10);
+
+  try {
+    if (selector === "0x08c379a0") {
+      const [message] = ethers.utils.defaultAbiCoder.decode(["string"], ethers.utils.hexDataSlice(data, 4));
+      return { name: "Error", signature: "Error(string)", args: { message }, message };
     }
-    
-    const contractNames = Object.keys(output.contracts['AttackContract.sol']);
-    if (contractNames.length === 0) {
-      throw new Error("Compilation failed: No contracts compiled.");
+    if (selector === "0x4e487b71") {
+      const [code] = ethers.utils.defaultAbiCoder.decode(["uint256"], ethers.utils.hexDataSlice(data, 4));
+      const panicCode = code.toHexString();
+      return {
+        name: "Panic",
+        signature: "Panic(uint256)",
+        args: { code: code.toString() },
+        panicCode,
+        panicMeaning: PANIC_REASONS[panicCode] || "Unknown panic code"
+      };
     }
-    
-    const contractName = contractNames[0];
-    const contract = output.contracts['AttackContract.sol'][contractName];
-    
-    return { abi: contract.abi, bytecode: contract.evm.bytecode.object };
-  } finally {
-    // Always release the lock
-    compilerLock = false;
+  } catch (err) {
+    // Malformed standard error, fall through to custom errors
   }
-}
 
-// Modify the findImports function to be more secure
-function findImports(importPath) {
-  // Prevent directory traversal
-  if (importPath.includes("..")) {
-    return { error: "Directory traversal in import paths is not allowed" };
+  const candidates = [];
+  if (userInterface) {
+    try {
+      candidates.push({ contractName: "AttackContract", iface: userInterface, fragment: userInterface.getError(selector) });
+    } catch (err) {
+      // Not an error of the user's contract
+    }
   }
+  candidates.push(...(abiIndex.errors.get(selector) || []));
 
-  // Handle @openzeppelin imports from node_modules
-  if (importPath.startsWith("@openzeppelin/")) {
-    const fullPath = path.join(__dirname, "..", "node_modules", importPath);
+  for (const candidate of candidates) {
     try {
-      if (!fs.existsSync(fullPath)) {
-        return { error: `File not found: ${importPath}` };
-      }
-      const stats = fs.statSync(fullPath);
-      if (!stats.isFile()) {
-        return { error: `Not a file: ${importPath}` };
-      }
-      return { contents: fs.readFileSync(fullPath, "utf8") };
+      const values = candidate.iface.decodeErrorResult(candidate.fragment, data);
+      return {
+        name: candidate.fragment.name,
+        signature: candidate.fragment.format(),
+        args: resolve(formatAbiValues(candidate.fragment.inputs, values)),
+        declaredIn: candidate.contractName
+      };
     } catch (err) {
-      return { error: `Error reading file: ${importPath}` };
+      // Try the next error with the same selector
     }
   }
 
-  // Handle hardhat imports from node_modules
-  if (importPath.startsWith("hardhat/")) {
-    const fullPath = path.join(__dirname, "..", "node_modules", importPath);
+  return { name: null, selector, data };
+}
+
+// One-line description of a decoded revert
+function formatRevert(revert) {
+  if (!revert) return "reverted without data";
+  if (revert.name === "Error") return revert.message;
+  if (revert.name === "Panic") return `Panic ${revert.panicCode}: ${revert.panicMeaning}`;
+  if (revert.name) {
+    const args = Object.entries(revert.args)
+      .map(([name, value]) => `${name}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+      .join(", ");
+    return `${revert.name}(${args})`;
+  }
+  return `unknown error ${revert.selector}`;
+}
+
+// Follow a revert down the call tree to the frame that raised it: the last failed sub-call that returned the same data
+function findRevertOrigin(frame) {
+  let origin = frame;
+  for (;;) {
+    const child = [...origin.calls].reverse().find(call => !call.success && !call.precompile && call.output === origin.output);
+    if (!child) return origin;
+    origin = child;
+  }
+}
+
+// hardhat/console.sol sends its log calls to this address
+const HARDHAT_CONSOLE_ADDRESS = "0x000000000000000000636f6e736f6c652e6c6f67";
+
+// The artifact whose creation code starts the input, with the decoded constructor arguments when there are any
+function decodeContractCreation(input, abiIndex) {
+  const lowered = input.toLowerCase();
+  const match = abiIndex.creationCodes.find(entry => lowered.startsWith(entry.bytecode));
+  if (!match) return null;
+
+  const creation = { contractName: match.contractName, args: null };
+  const constructorFragment = match.iface.deploy;
+  if (constructorFragment && constructorFragment.inputs.length > 0) {
     try {
-      if (!fs.existsSync(fullPath)) {
-        return { error: `File not found: ${importPath}` };
-      }
-      const stats = fs.statSync(fullPath);
-      if (!stats.isFile()) {
-        return { error: `Not a file: ${importPath}` };
-      }
-      return { contents: fs.readFileSync(fullPath, "utf8") };
+      const encodedArgs = '0x' + lowered.slice(match.bytecode.length);
+      const values = ethers.utils.defaultAbiCoder.decode(constructorFragment.inputs, encodedArgs);
+      creation.args = formatAbiValues(constructorFragment.inputs, values);
     } catch (err) {
-      return { error: `Error reading file: ${importPath}` };
+      // Leave the arguments undecoded
     }
   }
+  return creation;
+}
 
-  // Handle local contract imports
-  const localPath = path.join(__dirname, "..", "contracts", importPath);
-  try {
-    if (!fs.existsSync(localPath)) {
-      return { error: `File not found: ${importPath}` };
+// Decode calldata with the user's ABI first, then with every artifact function sharing its selector
+function decodeFunctionCall(input, abiIndex, userInterface) {
+  const selector = input.slice(0, 10);
+  const candidates = [];
+  if (userInterface) {
+    try {
+      candidates.push({ contractName: "AttackContract", iface: userInterface, fragment: userInterface.getFunction(selector) });
+    } catch (err) {
+      // Not a function of the user's contract
     }
-    const stats = fs.statSync(localPath);
-    if (!stats.isFile()) {
-      return { error: `Not a file: ${importPath}` };
+  }
+  candidates.push(...(abiIndex.functions.get(selector) || []));
+
+  for (const candidate of candidates) {
+    try {
+      const values = candidate.iface.decodeFunctionData(candidate.fragment, input);
+      return { ...candidate, args: formatAbiValues(candidate.fragment.inputs, values) };
+    } catch (err) {
+      // Try the next fragment with the same selector
     }
-    return { contents: fs.readFileSync(localPath, "utf8") };
-  } catch (err) {
-    return { error: `Error reading file: ${importPath}` };
   }
+  return null;
 }
 
-app.get('/tickets', async (req, res) => {
-  try {
-    const Lottery = await ethers.getContractFactory("Lottery");
+// Attach names, decoded function calls and return values to a raw call tree frame
+function describeCallFrame(frame, context) {
+  const { abiIndex, userInterface, attackContractAddress, attackerAddress } = context;
+  const described = {
+    type: frame.type,
+    from: frame.from,
+    fromName: resolveAddressToName(frame.from, attackContractAddress, attackerAddress),
+    to: frame.to,
+    toName: resolveAddressToName(frame.to, attackContractAddress, attackerAddress),
+    value: frame.value,
+    gasUsed: frame.gasUsed,
+    success: frame.success,
+    input: frame.input,
+    output: frame.output
+  };
+  if (frame.context) {
+    described.context = frame.context;
+    described.contextName = resolveAddressToName(frame.context, attackContractAddress, attackerAddress);
+  }
+  if (frame.precompile) described.precompile = true;
 
-    const lottery = new ethers.Contract(deployedConfig.lottery, Lottery.interface, provider);
+  const resolve = (values) => resolveEventArguments(values, attackContractAddress, attackerAddress);
 
-    const nextTicketId = await lottery.nextTicketId();
-    let tickets = [];
-    for (let i = 0; i < nextTicketId; i++) {
-      const ticket = await lottery.tickets(i);
-      tickets.push({
-        id: ticket.id.toString(),
-        purchaseTime: ticket.purchaseTime.toNumber(),
-        expirationTime: ticket.expirationTime.toNumber(),
-        redeemed: ticket.redeemed,
-        revealed: ticket.revealed,
-        revealDeadline: ticket.revealDeadline.toNumber(),
-        userRandom: ticket.userRandom,
-        commitment: ticket.commitment
-      });
+  if (frame.to && frame.to.toLowerCase() === HARDHAT_CONSOLE_ADDRESS) {
+    described.toName = "console";
+    described.function = "log";
+  } else if (frame.type === 'CREATE' || frame.type === 'CREATE2') {
+    const creation = decodeContractCreation(frame.input, abiIndex);
+    if (creation) {
+      described.contract = creation.contractName;
+      described.function = "constructor";
+      if (creation.args) described.args = resolve(creation.args);
     }
-    
-    // Get the number of available commitments
-    const availableTickets = (await lottery.getAvailableTickets()).toNumber();
-    
-    res.json({ tickets, availableTickets });
-  } catch (err) {
-    console.error("Error fetching tickets:", err);
-    res.status(500).json({ error: err.message });
+  } else if (frame.input.length >= 10) {
+    const call = decodeFunctionCall(frame.input, abiIndex, userInterface);
+    if (call) {
+      described.contract = call.contractName;
+      described.function = call.fragment.format();
+      described.args = resolve(call.args);
+      if (frame.success && frame.output.length > 2) {
+        try {
+          const returned = call.iface.decodeFunctionResult(call.fragment, frame.output);
+          described.returns = resolve(formatAbiValues(call.fragment.outputs, returned));
+        } catch (err) {
+          // Return data does not match the fragment's outputs
+        }
+      }
+    }
+  } else if (frame.input.length > 2) {
+    described.function = "fallback";
+  } else if (frame.type === 'CALL') {
+    described.function = "receive";
   }
-});
 
-app.get('/auctions', async (req, res) => {
-  try {
-    const AuctionManager = await ethers.getContractFactory("AuctionManager");
-    const auctionManager = new ethers.Contract(deployedConfig.auctionManager, AuctionManager.interface, provider);
-    const auctionCountBN = await auctionManager.auctionCount();
-    const auctionCount = auctionCountBN.toNumber();
+  if (!frame.success) {
+    described.revert = decodeRevertData(frame.output, abiIndex, userInterface, resolve);
+    described.revertReason = formatRevert(described.revert);
+  }
 
-    const auctions = [];
-    for (let i = 0; i < auctionCount; i++) {
-      const auction = await auctionManager.auctions(i);
-      auctions.push({
-        auctionId: i,
-        seller: auction.seller,
-        nftContract: auction.nftContract,
-        tokenId: auction.tokenId.toString(),
-        minPrice: auction.minPrice.toString(),
-        askingPrice: auction.askingPrice.toString(),
-        paymentToken: auction.paymentToken,
-        startTime: auction.startTime.toNumber(),
-        endTime: auction.endTime.toNumber(),
-        highestBidder: auction.highestBidder,
-        highestBid: auction.highestBid.toString(),
-        settled: auction.settled,
-        isDutch: auction.isDutch
-      });
-    }
-    for (let i = 0; i < auctionCount; i++) {
-      let auction = auctions[i];
-      if (auction.isDutch) {
+  described.calls = frame.calls.map(call => describeCallFrame(call, context));
+  return described;
+}
+
+// Fetch the full call tree of a mined transaction, decoded against the artifacts and the user's ABI
+async function fetchCallTrace(txHash, userInterface, attackContractAddress, attackerAddress) {
+  const tx = await provider.getTransaction(txHash);
+  const contractAddress = tx.to ? null : (await provider.getTransactionReceipt(txHash)).contractAddress;
+  const tree = await buildCallTree({
+    rpcUrl: RPC_URL,
+    tx: { hash: tx.hash, from: tx.from, to: tx.to, data: tx.data, value: tx.value, contractAddress },
+    getCode: (address) => provider.getCode(address, tx.blockNumber)
+  });
+  const abiIndex = await getArtifactAbiIndex();
+  return describeCallFrame(tree, { abiIndex, userInterface, attackContractAddress, attackerAddress });
+}
+
+// Gas used and ETH cost of each transaction of an attack. Gas is paid in ETH, so the cost lowers the score one-to-one.
+function summarizeTransactionGas(receipts) {
+  let totalGasUsed = ethers.constants.Zero;
+  let totalCost = ethers.constants.Zero;
+  const transactions = receipts.map(({ label, receipt }) => {
+    const cost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+    totalGasUsed = totalGasUsed.add(receipt.gasUsed);
+    totalCost = totalCost.add(cost);
+    return {
+      label,
+      hash: receipt.transactionHash,
+      gasUsed: receipt.gasUsed.toNumber(),
+      gasPriceGwei: ethers.utils.formatUnits(receipt.effectiveGasPrice, "gwei"),
+      costEth: ethers.utils.formatEther(cost)
+    };
+  });
+  return {
+    transactions,
+    totalGasUsed: totalGasUsed.toNumber(),
+    totalCostEth: ethers.utils.formatEther(totalCost),
+    scoreImpact: -parseFloat(ethers.utils.formatEther(totalCost)),
+    costWei: totalCost
+  };
+}
+
+// Add an attack's gas to the workspace total and report the total since the last revert
+function recordGasSpent(workspace, gasSummary) {
+  const costWei = ethers.BigNumber.from(workspace.gasSpent.costWei).add(gasSummary.costWei);
+  workspace.gasSpent = {
+    gasUsed: workspace.gasSpent.gasUsed + gasSummary.totalGasUsed,
+    costWei: costWei.toString()
+  };
+  return describeGasSpent(workspace);
+}
+
+function describeGasSpent(workspace) {
+  const costEth = ethers.utils.formatEther(workspace.gasSpent.costWei);
+  return { gasUsed: workspace.gasSpent.gasUsed, costEth, scoreImpact: -parseFloat(costEth) };
+}
+
+// Gas report of a submission: per transaction, totals, history total and (when a trace exists) per callee
+function buildGasReport(gasSummary, history, callTrace) {
+  const { costWei, ...report } = gasSummary;
+  report.history = history;
+  if (callTrace) {
+    report.byCallee = summarizeGasByCallee(callTrace);
+  }
+  return report;
+}
+
+// Self gas of every frame (its gas minus the gas of its sub-calls), grouped by callee and function.
+// The root frame's self gas includes the intrinsic transaction cost.
+function summarizeGasByCallee(callTrace) {
+  const callees = new Map();
+
+  const visit = (frame) => {
+    const childGas = frame.calls.reduce((sum, call) => sum + call.gasUsed, 0);
+    const selfGas = Math.max(frame.gasUsed - childGas, 0);
+    const calleeKey = frame.to ? frame.to.toLowerCase() : frame.toName;
+    if (!callees.has(calleeKey)) {
+      callees.set(calleeKey, { callee: frame.toName, address: frame.to, calls: 0, selfGas: 0, functions: new Map() });
+    }
+    const callee = callees.get(calleeKey);
+    callee.calls++;
+    callee.selfGas += selfGas;
+
+    const functionName = frame.function || (frame.input.length >= 10 ? frame.input.slice(0, 10) : "(no calldata)");
+    if (!callee.functions.has(functionName)) {
+      callee.functions.set(functionName, { function: functionName, calls: 0, selfGas: 0 });
+    }
+    const fn = callee.functions.get(functionName);
+    fn.calls++;
+    fn.selfGas += selfGas;
+
+    frame.calls.forEach(visit);
+  };
+  visit(callTrace);
+
+  return [...callees.values()]
+    .map(callee => ({
+      ...callee,
+      functions: [...callee.functions.values()].sort((a, b) => b.selfGas - a.selfGas)
+    }))
+    .sort((a, b) => b.selfGas - a.selfGas);
+}
+
+let compilerLock = false;
+
+// Compiler settings for every submission. Part of the compile cache key.
+const COMPILER_SETTINGS = {
+  optimizer: { enabled: true, runs: 200 },
+  outputSelection: { '*': { '*': ['abi', 'evm.bytecode'] } }
+};
+
+// Compiled outputs keyed by compiler version, sources and settings, so replays skip identical code.
+// Imports from contracts/ and node_modules do not change while the server runs, so they are not part of the key.
+const COMPILE_CACHE_SIZE = 100;
+const compileCache = new Map();
+
+function getCompileCacheKey(version, input) {
+  return crypto.createHash('sha256').update(JSON.stringify({ version, input })).digest('hex');
+}
+
+// Single-file submissions are compiled under this name, and it is the main file of multi-file submissions
+const MAIN_SOURCE_FILE = 'AttackContract.sol';
+
+// Normalize a request body into a map of file name -> source. Accepts `files` or a single `code` string.
+function getSubmittedSources({ code, files }) {
+  if (files && typeof files === 'object' && !Array.isArray(files) && Object.keys(files).length > 0) {
+    return files;
+  }
+  if (typeof code === 'string' && code.length > 0) {
+    return { [MAIN_SOURCE_FILE]: code };
+  }
+  return null;
+}
+
+// History entries keep the original { code } format for single-file submissions.
+// Deployment options are only recorded when they differ from the defaults.
+function toHistoryEntry(sources, contractName, deployment) {
+  const fileNames = Object.keys(sources);
+  const entry = fileNames.length === 1 && fileNames[0] === MAIN_SOURCE_FILE
+    ? { code: sources[MAIN_SOURCE_FILE] }
+    : { files: sources };
+  if (contractName) entry.contractName = contractName;
+  if (deployment.constructorArgs !== '0x') entry.constructorArgs = deployment.constructorArgs;
+  if (deployment.value !== '0') entry.value = deployment.value;
+  return entry;
+}
+
+// Validate the deployment options of a submission against the compiled constructor.
+// Returns the ABI-encoded constructor arguments as hex and the deploy value in wei as a decimal string.
+function prepareDeployment(abi, { constructorArgs, value }) {
+  const constructorFragment = new ethers.utils.Interface(abi).deploy;
+  const inputTypes = constructorFragment.inputs.map(input => input.type).join(", ");
+
+  const encodedArgs = constructorArgs || '0x';
+  if (!ethers.utils.isHexString(encodedArgs) || encodedArgs.length % 2 !== 0) {
+    throw new Error("Invalid deployment options: Constructor arguments must be an ABI-encoded hex string (0x...).");
+  }
+  if (constructorFragment.inputs.length === 0 && encodedArgs !== '0x') {
+    throw new Error("Invalid deployment options: Constructor arguments were given, but the constructor takes none.");
+  }
+  try {
+    ethers.utils.defaultAbiCoder.decode(constructorFragment.inputs, encodedArgs);
+  } catch (err) {
+    throw new Error(`Invalid deployment options: Constructor arguments do not match constructor(${inputTypes}).`);
+  }
+
+  let wei;
+  try {
+    wei = ethers.BigNumber.from(value || 0);
+  } catch (err) {
+    throw new Error("Invalid deployment options: Deploy value must be an integer amount of wei.");
+  }
+  if (wei.isNegative()) {
+    throw new Error("Invalid deployment options: Deploy value cannot be negative.");
+  }
+  if (!wei.isZero() && !constructorFragment.payable) {
+    throw new Error("Invalid deployment options: A deploy value requires a payable constructor.");
+  }
+
+  return { constructorArgs: encodedArgs.toLowerCase(), value: wei.toString() };
+}
+
+// Relative paths ending in .sol, e.g. "helpers/FlashHelper.sol"
+function isValidSourceFileName(fileName) {
+  return /^[A-Za-z0-9_\-]+(\/[A-Za-z0-9_\-.]+)*\.sol$/.test(fileName) &&
+    !fileName.split('/').some(segment => segment === '.' || segment === '..');
+}
+
+// Convert a solc error object into { severity, type, errorCode, message, file, line, column, endLine, endColumn }.
+// solc reports byte offsets into the source; lines and columns are 1-based character positions.
+// The location is only resolved for submitted files, messages about imported libraries only carry the file name.
+function describeCompilerMessage(compilerMessage, sources) {
+  const described = {
+    severity: compilerMessage.severity,
+    type: compilerMessage.type,
+    errorCode: compilerMessage.errorCode,
+    message: compilerMessage.message
+  };
+  const location = compilerMessage.sourceLocation;
+  if (!location || !location.file) {
+    return described;
+  }
+  described.file = location.file;
+  const source = sources[location.file];
+  if (typeof source !== 'string' || location.start < 0) {
+    return described;
+  }
+
+  const bytes = Buffer.from(source, 'utf8');
+  const toPosition = (offset) => {
+    const lines = bytes.subarray(0, Math.min(offset, bytes.length)).toString('utf8').split('\n');
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+  };
+  const start = toPosition(location.start);
+  const end = toPosition(Math.max(location.end, location.start));
+  described.line = start.line;
+  described.column = start.column;
+  described.endLine = end.line;
+  described.endColumn = end.column;
+  return described;
+}
+
+// One line per message, e.g. "AttackContract.sol:12:5: DeclarationError: Undeclared identifier."
+function formatCompilerMessage({ file, line, column, type, message }) {
+  const where = file ? `${file}${line ? `:${line}:${column}` : ""}: ` : "";
+  return `${where}${type}: ${message}`;
+}
+
+// Whether an ABI has the Attack() entry point that executeAttackTransactions calls
+function hasAttackFunction(abi) {
+  return abi.some(item => item.type === 'function' && item.name === 'Attack' && item.inputs.length === 0);
+}
+
+// Compile a submission: either a single source string or a map of file name -> source.
+// `contractName` ("Name" or "path/File.sol:Name") selects the contract to deploy.
+function compileSolidity(submission, contractName) {
+  if (compilerLock) {
+    throw new Error("Compiler is busy. Please try again in a moment.");
+  }
+  
+  try {
+    compilerLock = true;
+
+    const sources = typeof submission === 'string' ? { [MAIN_SOURCE_FILE]: submission } : submission;
+    const fileNames = Object.keys(sources);
+    if (fileNames.length === 0) {
+      throw new Error("Compilation failed: No source files submitted.");
+    }
+    
+    const pragmas = [];
+    for (const fileName of fileNames) {
+      const sourceCode = sources[fileName];
+      // Only name the file in messages when there is more than one
+      const where = fileNames.length > 1 ? ` in ${fileName}` : "";
+      if (!isValidSourceFileName(fileName)) {
+        throw new Error(`Compilation failed: Invalid file name '${fileName}'. Use a relative path ending in .sol, e.g. 'helpers/FlashHelper.sol'.`);
+      }
+      if (typeof sourceCode !== 'string') {
+        throw new Error(`Compilation failed: The content of '${fileName}' must be a string.`);
+      }
+
+      const pragmaRegex = /pragma solidity\s+([^;]+);/;
+      const pragmaMatch = sourceCode.match(pragmaRegex);
+      if (!pragmaMatch) {
+        throw new Error(`Compilation failed: Solidity version pragma not found${where}. Please include a valid 'pragma solidity ^0.8.0;' statement.`);
+      }
+      pragmas.push(pragmaMatch[1].trim());
+
+      // Validate imports before compilation. Relative imports may use '..' as long as they stay inside the submission.
+      const importRegex = /import\s+(?:[^"';]*\s+from\s+)?["']([^"']+)["']/g;
+      let match;
+      while ((match = importRegex.exec(sourceCode)) !== null) {
+        const importPath = match[1];
+        const isRelative = importPath.startsWith("./") || importPath.startsWith("../");
+        const resolvedPath = isRelative ? path.posix.join(path.posix.dirname(fileName), importPath) : importPath;
+        if (resolvedPath.split('/').includes("..")) {
+          throw new Error(`Compilation failed: Directory traversal in import paths is not allowed${where}.`);
+        }
+      }
+    }
+
+    if (!fileNames.some(fileName => /function\s+Attack\s*\(/.test(sources[fileName]))) {
+      throw new Error("Compilation failed: Expected function 'Attack()' not found. Please ensure your contract includes a function called 'Attack()' with a capital 'A'.");
+    }
+    // The attack contract comes from AttackContract.sol, or from the first file defining Attack()
+    const mainFile = sources[MAIN_SOURCE_FILE] !== undefined
+      ? MAIN_SOURCE_FILE
+      : fileNames.find(fileName => /function\s+Attack\s*\(/.test(sources[fileName]));
+
+    // The newest installed compiler satisfying the pragmas of every submitted file
+    const { version: compilerVersion, compiler } = selectCompiler(pragmas);
+
+    const input = {
+      language: 'Solidity',
+      sources: Object.fromEntries([...fileNames].sort().map(fileName => [fileName, { content: sources[fileName] }])),
+      settings: COMPILER_SETTINGS
+    };
+
+    // Files of the submission take precedence over contracts/ and node_modules
+    const importSubmissionFirst = (importPath) => sources[importPath] !== undefined
+      ? { contents: sources[importPath] }
+      : findImports(importPath);
+
+    const cacheKey = getCompileCacheKey(compilerVersion, input);
+    let output = compileCache.get(cacheKey);
+    if (output) {
+      console.log(`Compile cache hit (solc ${compilerVersion})`);
+    } else {
+      output = JSON.parse(compiler.compile(JSON.stringify(input), { import: importSubmissionFirst }));
+      compileCache.set(cacheKey, output);
+      // Maps iterate in insertion order, so the first key is the oldest entry
+      if (compileCache.size > COMPILE_CACHE_SIZE) {
+        compileCache.delete(compileCache.keys().next().value);
+      }
+      console.log(`Compiled with solc ${compilerVersion}`);
+    }
+    
+    // Errors, warnings and infos, errors first. The error thrown below carries all of them.
+    const compilerMessages = (output.errors || [])
+      .map(compilerMessage => describeCompilerMessage(compilerMessage, sources))
+      .sort((a, b) => (a.severity === 'error' ? 0 : 1) - (b.severity === 'error' ? 0 : 1));
+    const errors = compilerMessages.filter(compilerMessage => compilerMessage.severity === 'error');
+    if (errors.length > 0) {
+      const compilationError = new Error("Compilation error:\n" + errors.map(formatCompilerMessage).join("\n"));
+      compilationError.compilerMessages = compilerMessages;
+      throw compilationError;
+    }
+    
+    // Deployable contracts of the submission; imported protocol interfaces and libraries are not candidates.
+    // Interfaces and abstract contracts of the submission compile to empty bytecode and are kept apart for the error message.
+    const available = [];
+    const undeployable = [];
+    for (const fileName of fileNames) {
+      for (const [name, compiled] of Object.entries(output.contracts[fileName] || {})) {
+        if (compiled.evm.bytecode.object.length > 0) {
+          available.push({ fileName, name, compiled });
+        } else {
+          undeployable.push({ fileName, name });
+        }
+      }
+    }
+    if (available.length === 0) {
+      throw new Error("Compilation failed: No contracts compiled.");
+    }
+    const describeEntries = (entries) => entries
+      .map(entry => fileNames.length > 1 ? `${entry.name} (${entry.fileName})` : entry.name)
+      .join(", ");
+    const describeAvailable = () => describeEntries(available);
+
+    let selected;
+    if (contractName) {
+      const separator = contractName.lastIndexOf(':');
+      const wantedFile = separator === -1 ? null : contractName.slice(0, separator);
+      const wantedName = separator === -1 ? contractName : contractName.slice(separator + 1);
+      const isWanted = (entry) => entry.name === wantedName && (!wantedFile || entry.fileName === wantedFile);
+      const matches = available.filter(isWanted);
+      if (matches.length === 0 && undeployable.some(isWanted)) {
+        throw new Error(`Compilation failed: Contract '${contractName}' is abstract or an interface and cannot be deployed. Available contracts: ${describeAvailable()}`);
+      }
+      if (matches.length === 0) {
+        throw new Error(`Compilation failed: Contract '${contractName}' not found. Available contracts: ${describeAvailable()}`);
+      }
+      if (matches.length > 1) {
+        throw new Error(`Compilation failed: Contract '${contractName}' is defined in several files. Use 'File.sol:${wantedName}' to pick one of: ${matches.map(entry => entry.fileName).join(", ")}`);
+      }
+      selected = matches[0];
+    } else {
+      // Without an explicit name: AttackContract, else the main file's first contract with an Attack() function
+      const inMainFile = available.filter(entry => entry.fileName === mainFile);
+      selected = inMainFile.find(entry => entry.name === 'AttackContract')
+        || inMainFile.find(entry => hasAttackFunction(entry.compiled.abi))
+        || inMainFile[0]
+        || available[0];
+    }
+    // Deploying a helper or library would mine the deployment and approvals before Attack() fails to be called
+    if (!hasAttackFunction(selected.compiled.abi)) {
+      const withAttack = available.filter(entry => hasAttackFunction(entry.compiled.abi));
+      const suggestion = withAttack.length > 0
+        ? `Contracts with Attack(): ${describeEntries(withAttack)}`
+        : "No contract of the submission defines Attack().";
+      throw new Error(`Compilation failed: Contract '${selected.name}' has no external or public 'Attack()' function without parameters. ${suggestion}`);
+    }
+    
+    return {
+      abi: selected.compiled.abi,
+      bytecode: selected.compiled.evm.bytecode.object,
+      contractName: selected.name,
+      compilerVersion,
+      compilerMessages
+    };
+  } finally {
+    // Always release the lock
+    compilerLock = false;
+  }
+}
+
+// Modify the findImports function to be more secure
+function findImports(importPath) {
+  // Prevent directory traversal
+  if (importPath.includes("..")) {
+    return { error: "Directory traversal in import paths is not allowed" };
+  }
+
+  // Handle @openzeppelin imports from node_modules
+  if (importPath.startsWith("@openzeppelin/")) {
+    const fullPath = path.join(__dirname, "..", "node_modules", importPath);
+    try {
+      if (!fs.existsSync(fullPath)) {
+        return { error: `File not found: ${importPath}` };
+      }
+      const stats = fs.statSync(fullPath);
+      if (!stats.isFile()) {
+        return { error: `Not a file: ${importPath}` };
+      }
+      return { contents: fs.readFileSync(fullPath, "utf8") };
+    } catch (err) {
+      return { error: `Error reading file: ${importPath}` };
+    }
+  }
+
+  // Handle hardhat imports from node_modules
+  if (importPath.startsWith("hardhat/")) {
+    const fullPath = path.join(__dirname, "..", "node_modules", importPath);
+    try {
+      if (!fs.existsSync(fullPath)) {
+        return { error: `File not found: ${importPath}` };
+      }
+      const stats = fs.statSync(fullPath);
+      if (!stats.isFile()) {
+        return { error: `Not a file: ${importPath}` };
+      }
+      return { contents: fs.readFileSync(fullPath, "utf8") };
+    } catch (err) {
+      return { error: `Error reading file: ${importPath}` };
+    }
+  }
+
+  // Handle local contract imports
+  const localPath = path.join(__dirname, "..", "contracts", importPath);
+  try {
+    if (!fs.existsSync(localPath)) {
+      return { error: `File not found: ${importPath}` };
+    }
+    const stats = fs.statSync(localPath);
+    if (!stats.isFile()) {
+      return { error: `Not a file: ${importPath}` };
+    }
+    return { contents: fs.readFileSync(localPath, "utf8") };
+  } catch (err) {
+    return { error: `Error reading file: ${importPath}` };
+  }
+}
+
+app.get('/tickets', async (req, res) => {
+  const release = await mutex.acquire();
+  try {
+    await activateWorkspace(getWorkspace(req));
+    const Lottery = await ethers.getContractFactory("Lottery");
+
+    const lottery = new ethers.Contract(deployedConfig.lottery, Lottery.interface, provider);
+
+    const nextTicketId = await lottery.nextTicketId();
+    let tickets = [];
+    for (let i = 0; i < nextTicketId; i++) {
+      const ticket = await lottery.tickets(i);
+      tickets.push({
+        id: ticket.id.toString(),
+        purchaseTime: ticket.purchaseTime.toNumber(),
+        expirationTime: ticket.expirationTime.toNumber(),
+        redeemed: ticket.redeemed,
+        revealed: ticket.revealed,
+        revealDeadline: ticket.revealDeadline.toNumber(),
+        userRandom: ticket.userRandom,
+        commitment: ticket.commitment
+      });
+    }
+    
+    // Get the number of available commitments
+    const availableTickets = (await lottery.getAvailableTickets()).toNumber();
+    
+    res.json({ tickets, availableTickets });
+  } catch (err) {
+    console.error("Error fetching tickets:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    release();
+  }
+});
+
+app.get('/auctions', async (req, res) => {
+  const release = await mutex.acquire();
+  try {
+    await activateWorkspace(getWorkspace(req));
+    const AuctionManager = await ethers.getContractFactory("AuctionManager");
+    const auctionManager = new ethers.Contract(deployedConfig.auctionManager, AuctionManager.interface, provider);
+    const auctionCountBN = await auctionManager.auctionCount();
+    const auctionCount = auctionCountBN.toNumber();
+
+    const auctions = [];
+    for (let i = 0; i < auctionCount; i++) {
+      const auction = await auctionManager.auctions(i);
+      auctions.push({
+        auctionId: i,
+        seller: auction.seller,
+        nftContract: auction.nftContract,
+        tokenId: auction.tokenId.toString(),
+        minPrice: auction.minPrice.toString(),
+        askingPrice: auction.askingPrice.toString(),
+        paymentToken: auction.paymentToken,
+        startTime: auction.startTime.toNumber(),
+        endTime: auction.endTime.toNumber(),
+        highestBidder: auction.highestBidder,
+        highestBid: auction.highestBid.toString(),
+        settled: auction.settled,
+        isDutch: auction.isDutch
+      });
+    }
+    for (let i = 0; i < auctionCount; i++) {
+      let auction = auctions[i];
+      if (auction.isDutch) {
         try {
           const currentPriceBN = await auctionManager.getCurrentPrice(i);
           auction.currentPrice = currentPriceBN.toString();
@@ -971,6 +2229,8 @@ app.get('/auctions', async (req, res) => {
   } catch (err) {
     console.error("Error fetching auctions:", err);
     res.status(500).json({ error: err.message });
+  } finally {
+    release();
   }
 });
 
@@ -1002,7 +2262,9 @@ app.get('/contracts', (req, res) => {
 
 // Endpoint to return the current Lottery liquidity and ticket price
 app.get('/lottery-liquidity', async (req, res) => {
+  const release = await mutex.acquire();
   try {
+    await activateWorkspace(getWorkspace(req));
     const lotteryAddress = deployedConfig.lottery;
     const Lottery = await ethers.getContractFactory("Lottery");
     const lotteryContract = new ethers.Contract(lotteryAddress, Lottery.interface, provider);
@@ -1015,12 +2277,16 @@ app.get('/lottery-liquidity', async (req, res) => {
   } catch (err) {
     console.error("Error fetching lottery liquidity:", err);
     res.status(500).json({ error: err.message });
+  } finally {
+    release();
   }
 });
 
 // Endpoint to return popular auction tokens info.
 app.get('/popular-auction-tokens', async (req, res) => {
+  const release = await mutex.acquire();
   try {
+    await activateWorkspace(getWorkspace(req));
     // Get underlying token addresses from deployed configuration.
     const { usdc, weth, nisc, auctionManager } = deployedConfig;
     
@@ -1067,11 +2333,15 @@ app.get('/popular-auction-tokens', async (req, res) => {
   } catch (err) {
     console.error("Error fetching popular auction tokens:", err);
     res.status(500).json({ error: err.message });
+  } finally {
+    release();
   }
 });
 
 app.get('/auction-vault-info', async (req, res) => {
+  const release = await mutex.acquire();
   try {
+    await activateWorkspace(getWorkspace(req));
     const { auctionVault, usdc } = deployedConfig;
 
     // Load the compiled interface ABIs
@@ -1110,12 +2380,16 @@ app.get('/auction-vault-info', async (req, res) => {
   } catch (err) {
     console.error("Error fetching auction vault info:", err);
     res.status(500).json({ error: err.message });
+  } finally {
+    release();
   }
 });
 
 // Endpoint to return the current ExchangeVault fee
 app.get('/exchange-fee', async (req, res) => {
+  const release = await mutex.acquire();
   try {
+    await activateWorkspace(getWorkspace(req));
     // The exchangeVault address is stored in deployedConfig.
     const { exchangeVault } = deployedConfig;
     // Minimal ABI to read fee
@@ -1128,12 +2402,16 @@ app.get('/exchange-fee', async (req, res) => {
   } catch (err) {
     console.error("Error fetching exchange fee:", err);
     res.status(500).json({ error: err.message });
+  } finally {
+    release();
   }
 });
 
 // Modified /pools endpoint: Get liquidity for each registered pool using the array of product pool addresses.
 app.get('/pools', async (req, res) => {
+  const release = await mutex.acquire();
   try {
+    await activateWorkspace(getWorkspace(req));
     // Get the array of product pool addresses from deployed config.
     const poolAddresses = deployedConfig.productPools; 
     const pools = [];
@@ -1183,12 +2461,16 @@ app.get('/pools', async (req, res) => {
   } catch (err) {
     console.error("Error fetching pools:", err);
     res.status(500).json({ error: err.message });
+  } finally {
+    release();
   }
 });
 
 // Endpoint to return live prices from the PriceOracle contract.
 app.get('/price-oracle', async (req, res) => {
+  const release = await mutex.acquire();
   try {
+    await activateWorkspace(getWorkspace(req));
     // Extract the priceOracle address and also the underlying token addresses from the deployed config.
     const { priceOracle, usdc, nisc, weth } = deployedConfig;
     const PriceOracle = await ethers.getContractFactory("PriceOracle");
@@ -1207,11 +2489,15 @@ app.get('/price-oracle', async (req, res) => {
   } catch (err) {
     console.error("Error in /price-oracle endpoint:", err);
     res.status(500).json({ error: err.message });
+  } finally {
+    release();
   }
 });
 
 app.get('/flashloan-fee', async (req, res) => {
+  const release = await mutex.acquire();
   try {
+    await activateWorkspace(getWorkspace(req));
     const { flashLoaner } = deployedConfig;
     const FlashLoaner = await ethers.getContractFactory("FlashLoaner");
     const flashLoanerContract = new ethers.Contract(flashLoaner, FlashLoaner.interface, provider);
@@ -1220,11 +2506,15 @@ app.get('/flashloan-fee', async (req, res) => {
   } catch (err) {
     console.error("Error fetching flashloan fee:", err);
     res.status(500).json({ error: err.message });
+  } finally {
+    release();
   }
 });
 
 app.get('/flashloan-max-amounts', async (req, res) => {
+  const release = await mutex.acquire();
   try {
+    await activateWorkspace(getWorkspace(req));
     const { flashLoaner, usdc, nisc, weth } = deployedConfig;
     const FlashLoaner = await ethers.getContractFactory("FlashLoaner");
     const flashLoanerContract = new ethers.Contract(flashLoaner, FlashLoaner.interface, provider);
@@ -1244,11 +2534,15 @@ app.get('/flashloan-max-amounts', async (req, res) => {
   } catch (err) {
     console.error("Error fetching flashloan max amounts:", err);
     res.status(500).json({ error: err.message });
+  } finally {
+    release();
   }
 });
 
 app.get('/lending', async (req, res) => {
+  const release = await mutex.acquire();
   try {
+    await activateWorkspace(getWorkspace(req));
     // Load the compiled interface ABIs
     const LendingFactory = await ethers.getContractFactory("LendingFactory");
     const LendingPool = await ethers.getContractFactory("LendingPool");
@@ -1306,11 +2600,15 @@ app.get('/lending', async (req, res) => {
   } catch (err) {
     console.error("Error fetching lending state:", err);
     res.status(500).json({ error: err.message });
+  } finally {
+    release();
   }
 });
 
 app.get('/lending-liquidatable', async (req, res) => {
+  const release = await mutex.acquire();
   try {
+    await activateWorkspace(getWorkspace(req));
     // Load the compiled interface ABIs
     const LendingManager = await ethers.getContractFactory("LendingManager");
     const LendingPool = await ethers.getContractFactory("LendingPool");
@@ -1363,11 +2661,15 @@ app.get('/lending-liquidatable', async (req, res) => {
   } catch (err) {
     console.error("Error fetching liquidatable positions:", err);
     res.status(500).json({ error: err.message });
+  } finally {
+    release();
   }
 });
 
 app.get('/investment', async (req, res) => {
+  const release = await mutex.acquire();
   try {
+    await activateWorkspace(getWorkspace(req));
     const { usdc, nisc, weth, investmentFactory } = deployedConfig;
     
     // Load the compiled interface ABIs
@@ -1442,11 +2744,15 @@ app.get('/investment', async (req, res) => {
   } catch (err) {
     console.error("Error fetching investment state:", err);
     res.status(500).json({ error: err.message });
+  } finally {
+    release();
   }
 });
 
 app.get('/community-insurance', async (req, res) => {
+  const release = await mutex.acquire();
   try {
+    await activateWorkspace(getWorkspace(req));
     const { communityInsurance, rewardDistributor, usdc, nisc, weth } = deployedConfig;
     
     // Load the compiled interface ABIs
@@ -1529,12 +2835,628 @@ app.get('/community-insurance', async (req, res) => {
   } catch (err) {
     console.error("Error fetching community insurance state:", err);
     res.status(500).json({ error: err.message });
+  } finally {
+    release();
+  }
+});
+
+
+// Hardhat artifact of every contract in deployed.json, used by /read-contracts and /call
+const DEPLOYED_CONTRACT_ARTIFACTS = {
+  usdc: "USDC",
+  nisc: "NISC",
+  weth: "WETH",
+  lottery: "Lottery",
+  lotteryExtension: "LotteryExtension",
+  auctionVault: "AuctionVault",
+  auctionManager: "AuctionManager",
+  lendingPoolStrategy: "LendingPoolStrategy",
+  exchangeVault: "ExchangeVault",
+  productPools: "ProductPool",
+  priceOracle: "PriceOracle",
+  lendingFactory: "LendingFactory",
+  lendingManagers: "LendingManager",
+  lendingPoolsA: "LendingPool",
+  lendingPoolsB: "LendingPool",
+  flashLoaner: "FlashLoaner",
+  investmentFactory: "InvestmentVaultFactory",
+  usdcIdleMarket: "IdleMarket",
+  investmentVaults: "InvestmentVault",
+  communityInsurance: "CommunityInsurance",
+  rewardDistributor: "RewardDistributor"
+};
+
+const artifactInterfaces = new Map();
+
+async function getArtifactInterface(contractName) {
+  if (!artifactInterfaces.has(contractName)) {
+    const artifact = await artifacts.readArtifact(contractName);
+    artifactInterfaces.set(contractName, new ethers.utils.Interface(artifact.abi));
+  }
+  return artifactInterfaces.get(contractName);
+}
+
+// Every deployed contract that can be read, one per address: arrays are expanded to "lendingManagers[0]", "lendingManagers[1]"...
+function listDeployedContracts() {
+  const contracts = [];
+  for (const [key, contractName] of Object.entries(DEPLOYED_CONTRACT_ARTIFACTS)) {
+    const value = deployedConfig[key];
+    if (Array.isArray(value)) {
+      value.forEach((address, index) => contracts.push({ key: `${key}[${index}]`, contractName, address }));
+    } else if (typeof value === 'string') {
+      contracts.push({ key, contractName, address: value });
+    }
+  }
+  return contracts;
+}
+
+function isReadOnlyFunction(fragment) {
+  return fragment.stateMutability === 'view' || fragment.stateMutability === 'pure';
+}
+
+function describeFunction(fragment) {
+  return {
+    name: fragment.name,
+    signature: fragment.format(),
+    inputs: fragment.inputs.map(input => ({ name: input.name, type: input.format('full') })),
+    outputs: (fragment.outputs || []).map(output => ({ name: output.name, type: output.format('full') }))
+  };
+}
+
+// The view and pure functions of every deployed contract, for the Read Contract panel
+app.get('/read-contracts', async (req, res) => {
+  try {
+    const contracts = [];
+    for (const contract of listDeployedContracts()) {
+      const iface = await getArtifactInterface(contract.contractName);
+      const functions = Object.values(iface.functions).filter(isReadOnlyFunction).map(describeFunction);
+      contracts.push({ ...contract, functions });
+    }
+    res.json({ contracts });
+  } catch (err) {
+    console.error("Error listing readable contracts:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Body: { contract, function, args }. `contract` is a deployed.json key such as "lottery" or "lendingManagers[1]",
+// `function` a function name or, for overloaded functions, a signature such as "balanceOf(address)",
+// `args` the arguments as JSON values (numbers as strings, structs as arrays or objects).
+// Runs an eth_call against the session's current state, nothing is mined.
+app.post('/call', async (req, res) => {
+  const { contract: contractKey, function: functionName, args = [] } = req.body;
+  const contract = listDeployedContracts().find(({ key }) => key === contractKey);
+  if (!contract) {
+    return res.status(400).json({ error: `Unknown contract '${contractKey}'. Use a key of deployed.json, with an index for lists such as lendingManagers[1].` });
+  }
+  if (!Array.isArray(args)) {
+    return res.status(400).json({ error: "args must be an array" });
+  }
+
+  const release = await mutex.acquire();
+  try {
+    const iface = await getArtifactInterface(contract.contractName);
+    let fragment;
+    try {
+      fragment = iface.getFunction(String(functionName));
+    } catch (err) {
+      return res.status(400).json({ error: `${contract.contractName} has no function '${functionName}' (use the full signature for overloaded functions)` });
+    }
+    if (!isReadOnlyFunction(fragment)) {
+      return res.status(400).json({ error: `${fragment.format()} is not a view or pure function` });
+    }
+    let data;
+    try {
+      data = iface.encodeFunctionData(fragment, args);
+    } catch (err) {
+      return res.status(400).json({ error: `Invalid arguments for ${fragment.format()}: ${err.reason || err.message}` });
+    }
+
+    const workspace = getWorkspace(req);
+    await activateWorkspace(workspace);
+    const attackerAddress = await (await getAttacker()).getAddress();
+    const resolve = (values) => resolveEventArguments(values, null, attackerAddress);
+
+    // Depending on the node, a reverted eth_call either fails or returns the revert data as its result
+    let decoded;
+    let revertData = null;
+    try {
+      const returnData = await provider.call({ to: contract.address, data });
+      try {
+        decoded = iface.decodeFunctionResult(fragment, returnData);
+      } catch (decodeError) {
+        revertData = returnData;
+      }
+    } catch (callError) {
+      revertData = extractRevertData(callError);
+    }
+    if (!decoded) {
+      const revert = decodeRevertData(revertData, await getArtifactAbiIndex(), null, resolve);
+      return res.status(400).json({ error: `Call reverted: ${formatRevert(revert)}`, revert });
+    }
+
+    const result = formatAbiValues(fragment.outputs, decoded);
+    res.json({
+      contract: contract.key,
+      contractName: contract.contractName,
+      address: contract.address,
+      function: fragment.format(),
+      result,
+      formatted: resolve(result)
+    });
+  } catch (err) {
+    console.error("Error calling contract:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    release();
+  }
+});
+
+// Storage layouts from the build info, keyed by artifact name; needs the storageLayout output selected in hardhat.config.js
+const storageLayouts = new Map();
+
+async function getStorageLayout(contractName) {
+  if (!storageLayouts.has(contractName)) {
+    const artifact = await artifacts.readArtifact(contractName);
+    const buildInfo = await artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+    const output = buildInfo && buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+    if (!output || !output.storageLayout) {
+      throw new Error(`No storage layout for ${contractName}; recompile the contracts with 'npx hardhat compile --force'`);
+    }
+    storageLayouts.set(contractName, output.storageLayout);
+  }
+  return storageLayouts.get(contractName);
+}
+
+// Adds the name of known addresses (deployed contracts, the attacker) next to decoded address values
+function labelStorageAddresses(nodes, attackerAddress) {
+  for (const node of nodes) {
+    if (typeof node.value === 'string' && /^0x[a-fA-F0-9]{40}$/.test(node.value)) {
+      const name = resolveAddressToName(node.value, null, attackerAddress);
+      if (name !== node.value) node.name = name;
+    }
+    for (const children of [node.members, node.elements, node.entries]) {
+      if (children) labelStorageAddresses(children, attackerAddress);
+    }
+  }
+}
+
+// Body: { contract, contractName, keys, arrayLimit }. `contract` is a deployed.json key such as "lottery" or
+// "lendingManagers[1]", or any address together with the `contractName` of its artifact (e.g. an AuctionToken).
+// `keys` lists the mapping entries to read per variable, { tickets: ["1", "2"], allowance: [["0xowner", "0xspender"]] },
+// and `arrayLimit` how many elements of each dynamic array to read.
+// The Lottery's storage lives at the lottery address: LotteryExtension runs on it through delegatecall.
+app.post('/storage', async (req, res) => {
+  const { contract: contractRef, keys = {}, arrayLimit = DEFAULT_ARRAY_LIMIT } = req.body;
+  let contract = listDeployedContracts().find(({ key }) => key === contractRef);
+  if (!contract && ethers.utils.isAddress(String(contractRef))) {
+    const address = ethers.utils.getAddress(contractRef);
+    const deployed = listDeployedContracts().find(known => known.address.toLowerCase() === address.toLowerCase());
+    const contractName = req.body.contractName || (deployed && deployed.contractName);
+    if (!contractName) {
+      return res.status(400).json({ error: "contractName is required for addresses that are not in deployed.json" });
+    }
+    contract = { key: deployed ? deployed.key : address, contractName, address };
+  }
+  if (!contract) {
+    return res.status(400).json({ error: `Unknown contract '${contractRef}'. Use a key of deployed.json or an address with a contractName.` });
+  }
+  if (!keys || typeof keys !== 'object' || Array.isArray(keys) || !Object.values(keys).every(Array.isArray)) {
+    return res.status(400).json({ error: "keys must map variable names to arrays of keys" });
+  }
+  if (!Number.isInteger(Number(arrayLimit)) || Number(arrayLimit) < 0 || Number(arrayLimit) > MAX_ARRAY_LIMIT) {
+    return res.status(400).json({ error: `arrayLimit must be a whole number between 0 and ${MAX_ARRAY_LIMIT}` });
+  }
+
+  let layout;
+  try {
+    layout = await getStorageLayout(contract.contractName);
+  } catch (err) {
+    if (err.message.includes('HH700')) {
+      return res.status(400).json({ error: `Unknown contract name '${contract.contractName}'` });
+    }
+    console.error("Error loading storage layout:", err);
+    return res.status(500).json({ error: err.message });
+  }
+
+  const release = await mutex.acquire();
+  try {
+    await activateWorkspace(getWorkspace(req));
+    const readSlot = (slot) => provider.send("eth_getStorageAt", [contract.address, "0x" + slot.toString(16), "latest"]);
+    const variables = await decodeStorage(layout, readSlot, { keys, arrayLimit: Number(arrayLimit) });
+    labelStorageAddresses(variables, await (await getAttacker()).getAddress());
+    res.json({
+      contract: contract.key,
+      contractName: contract.contractName,
+      address: contract.address,
+      variables
+    });
+  } catch (err) {
+    console.error("Error reading storage:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    release();
+  }
+});
+
+// Decode a log with eventsABI.json first, then with every artifact declaring an event with its topic.
+// ERC20 and ERC721 share the Transfer and Approval topics, so the first layout that decodes wins.
+function decodeLogEvent(log, abiIndex) {
+  const candidates = [eventsInterface, ...(abiIndex.events.get(log.topics[0]) || []).map(({ iface }) => iface)];
+  for (const iface of candidates) {
+    try {
+      const parsed = iface.parseLog(log);
+      return {
+        event: parsed.name,
+        signature: parsed.eventFragment.format(ethers.utils.FormatTypes.full),
+        args: formatAbiValues(parsed.eventFragment.inputs, parsed.args)
+      };
+    } catch (err) {
+      // Not this layout
+    }
+  }
+  return null;
+}
+
+// Fetch and decode every log of the given blocks
+async function indexLogs(fromBlock, toBlock) {
+  const logs = await provider.getLogs({ fromBlock, toBlock });
+  const abiIndex = await getArtifactAbiIndex();
+  const attackerAddress = await (await getAttacker()).getAddress();
+  const blockTimestamps = new Map();
+  const indexed = [];
+  for (const log of logs) {
+    if (!blockTimestamps.has(log.blockNumber)) {
+      blockTimestamps.set(log.blockNumber, (await provider.getBlock(log.blockNumber)).timestamp);
+    }
+    const decoded = decodeLogEvent(log, abiIndex);
+    indexed.push({
+      blockNumber: log.blockNumber,
+      timestamp: blockTimestamps.get(log.blockNumber),
+      transactionHash: log.transactionHash,
+      logIndex: log.logIndex,
+      phase: log.blockNumber <= baselineBlockNumber ? 'setup' : 'attack',
+      address: log.address,
+      contract: resolveAddressToName(log.address, null, attackerAddress),
+      ...(decoded
+        ? { ...decoded, formatted: resolveEventArguments(decoded.args, null, attackerAddress) }
+        : { event: null, topics: log.topics, data: log.data })
+    });
+  }
+  return indexed;
+}
+
+// Logs of the setup script, up to the baseline block. Every workspace shares them, so they are indexed once.
+let setupEventIndex = null;
+
+async function getSetupEvents() {
+  if (!setupEventIndex) {
+    setupEventIndex = await indexLogs(0, baselineBlockNumber);
+    console.log(`Indexed ${setupEventIndex.length} setup events`);
+  }
+  return setupEventIndex;
+}
+
+// Bring the workspace's index of post-setup logs up to the latest block. Blocks are only indexed once, unless
+// the chain under them changed: a revert bumps chainEpoch, and a restored snapshot replaces the last indexed block.
+// Must be called while holding the mutex, with the workspace active.
+async function updateWorkspaceEventIndex(workspace) {
+  let index = workspace.eventIndex;
+  if (index) {
+    const lastBlock = await provider.getBlock(index.lastBlock);
+    if (index.epoch !== chainEpoch || !lastBlock || lastBlock.hash !== index.lastBlockHash) {
+      index = null;
+    }
+  }
+  if (!index) {
+    const baselineBlock = await provider.getBlock(baselineBlockNumber);
+    index = { epoch: chainEpoch, lastBlock: baselineBlock.number, lastBlockHash: baselineBlock.hash, events: [] };
+  }
+
+  const latestBlock = await provider.getBlock('latest');
+  if (latestBlock.number > index.lastBlock) {
+    index.events.push(...await indexLogs(index.lastBlock + 1, latestBlock.number));
+  }
+  index.lastBlock = latestBlock.number;
+  index.lastBlockHash = latestBlock.hash;
+  workspace.eventIndex = index;
+  return index.events;
+}
+
+const DEFAULT_EVENT_LIMIT = 500;
+const MAX_EVENT_LIMIT = 5000;
+
+function containsAddress(value, address) {
+  if (typeof value === 'string') return value.toLowerCase() === address;
+  if (value && typeof value === 'object') return Object.values(value).some(item => containsAddress(item, address));
+  return false;
+}
+
+// Query: contract, event, from, to, address, limit, offset; all optional.
+// `contract` is the emitting contract: a deployed.json key ("auctionManager", "lendingManagers" for all of them,
+// "lendingManagers[1]") or an address. `event` is an event name or full signature, `from`/`to` an inclusive block range
+// and `address` an address that appears among the event's arguments, e.g. a bidder or borrower.
+// Events of the setup come first, then those of the session's attacks, in chain order.
+app.get('/events', async (req, res) => {
+  const { contract, event, address } = req.query;
+
+  let contractAddresses = null;
+  if (contract) {
+    if (ethers.utils.isAddress(contract)) {
+      contractAddresses = [contract.toLowerCase()];
+    } else {
+      contractAddresses = listDeployedContracts()
+        .filter(({ key }) => key === contract || key.startsWith(`${contract}[`))
+        .map(known => known.address.toLowerCase());
+      if (contractAddresses.length === 0) {
+        return res.status(400).json({ error: `Unknown contract '${contract}'. Use a key of deployed.json or an address.` });
+      }
+    }
+  }
+  if (address && !ethers.utils.isAddress(address)) {
+    return res.status(400).json({ error: `'${address}' is not an address` });
+  }
+  const bounds = {};
+  for (const [name, defaultValue] of [['from', 0], ['to', Infinity], ['offset', 0], ['limit', DEFAULT_EVENT_LIMIT]]) {
+    const value = req.query[name] === undefined || req.query[name] === '' ? defaultValue : Number(req.query[name]);
+    if (value !== Infinity && (!Number.isInteger(value) || value < 0)) {
+      return res.status(400).json({ error: `${name} must be a non-negative whole number` });
+    }
+    bounds[name] = value;
+  }
+  if (bounds.limit > MAX_EVENT_LIMIT) {
+    return res.status(400).json({ error: `limit must be at most ${MAX_EVENT_LIMIT}` });
+  }
+
+  const release = await mutex.acquire();
+  try {
+    const workspace = getWorkspace(req);
+    await activateWorkspace(workspace);
+    const allEvents = [...await getSetupEvents(), ...await updateWorkspaceEventIndex(workspace)];
+
+    const matchAddress = address && address.toLowerCase();
+    const matching = allEvents.filter(entry =>
+      (!contractAddresses || contractAddresses.includes(entry.address.toLowerCase())) &&
+      (!event || entry.event === event || entry.signature === event) &&
+      entry.blockNumber >= bounds.from && entry.blockNumber <= bounds.to &&
+      (!matchAddress || containsAddress(entry.args, matchAddress))
+    );
+    res.json({
+      total: matching.length,
+      offset: bounds.offset,
+      events: matching.slice(bounds.offset, bounds.offset + bounds.limit),
+      eventNames: [...new Set(allEvents.map(entry => entry.event).filter(Boolean))].sort(),
+      setupBlock: baselineBlockNumber,
+      latestBlock: workspace.eventIndex.lastBlock
+    });
+  } catch (err) {
+    console.error("Error querying events:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    release();
+  }
+});
+
+// Every attack contract has Attack(); the explorer does not know the rest of their ABI
+const ATTACK_ENTRY_INTERFACE = new ethers.utils.Interface(["function Attack()"]);
+
+const DEFAULT_EXPLORER_BLOCKS = 20;
+const MAX_EXPLORER_BLOCKS = 100;
+const TX_HASH_REGEX = /^0x[0-9a-fA-F]{64}$/;
+
+// Address names for the explorer: attack contracts (every contract the attacker deployed after the setup),
+// then resolveAddressToName, then the node's accounts, which the setup uses as protocol owners and users.
+// Must be called while holding the mutex, with the workspace active.
+async function createExplorerLabels() {
+  const accounts = await provider.listAccounts();
+  const attackerAddress = await (await getAttacker()).getAddress();
+  const attackContracts = new Set();
+  const latestBlockNumber = await provider.getBlockNumber();
+  for (let number = baselineBlockNumber + 1; number <= latestBlockNumber; number++) {
+    const block = await provider.getBlockWithTransactions(number);
+    for (const tx of block.transactions) {
+      if (!tx.to && tx.from.toLowerCase() === attackerAddress.toLowerCase()) {
+        attackContracts.add(ethers.utils.getContractAddress(tx).toLowerCase());
+      }
+    }
+  }
+
+  const label = (address) => {
+    if (!address) return null;
+    if (attackContracts.has(address.toLowerCase())) return "AttackContract";
+    const name = resolveAddressToName(address, null, attackerAddress);
+    if (name !== address) return name;
+    const accountIndex = accounts.findIndex(account => account.toLowerCase() === address.toLowerCase());
+    return accountIndex === -1 ? address : `Account #${accountIndex}`;
+  };
+  const resolveValues = (values) => {
+    if (typeof values === 'string') return /^0x[a-fA-F0-9]{40}$/.test(values) ? label(values) : values;
+    if (!values || typeof values !== 'object') return values;
+    const resolved = Array.isArray(values) ? [] : {};
+    for (const [key, value] of Object.entries(values)) resolved[key] = resolveValues(value);
+    return resolved;
+  };
+  return { label, resolveValues, attackerAddress, attackContracts };
+}
+
+// Sender, target, decoded calldata, status and gas of a mined transaction
+function describeTransaction(tx, receipt, abiIndex, labels) {
+  const described = {
+    hash: tx.hash,
+    blockNumber: tx.blockNumber,
+    from: tx.from,
+    fromName: labels.label(tx.from),
+    to: tx.to,
+    toName: labels.label(tx.to),
+    contractAddress: receipt.contractAddress,
+    contractAddressName: labels.label(receipt.contractAddress),
+    value: tx.value.toString(),
+    status: receipt.status === 1 ? 'success' : 'reverted',
+    gasUsed: receipt.gasUsed.toNumber(),
+    gasPriceGwei: ethers.utils.formatUnits(receipt.effectiveGasPrice, "gwei"),
+    costEth: ethers.utils.formatEther(receipt.gasUsed.mul(receipt.effectiveGasPrice)),
+    eventCount: receipt.logs.length,
+    selector: tx.to && tx.data.length >= 10 ? tx.data.slice(0, 10) : null,
+    contract: null,
+    function: null,
+    args: null
+  };
+
+  if (!tx.to) {
+    const creation = decodeContractCreation(tx.data, abiIndex);
+    described.function = "constructor";
+    if (creation) {
+      described.contract = creation.contractName;
+      described.args = creation.args && labels.resolveValues(creation.args);
+    } else if (described.contractAddressName === "AttackContract") {
+      described.contract = "AttackContract";
+    }
+  } else if (tx.data.length >= 10) {
+    const call = decodeFunctionCall(tx.data, abiIndex, ATTACK_ENTRY_INTERFACE);
+    if (call) {
+      described.contract = call.contractName;
+      described.function = call.fragment.format();
+      described.args = labels.resolveValues(call.args);
+    }
+  }
+  return described;
+}
+
+// Query: before, limit. Blocks newest first, starting below `before` (default: the latest block), setup blocks included.
+app.get('/explorer/blocks', async (req, res) => {
+  const limit = req.query.limit === undefined || req.query.limit === '' ? DEFAULT_EXPLORER_BLOCKS : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_EXPLORER_BLOCKS) {
+    return res.status(400).json({ error: `limit must be a whole number between 1 and ${MAX_EXPLORER_BLOCKS}` });
+  }
+  const before = req.query.before === undefined || req.query.before === '' ? null : Number(req.query.before);
+  if (before !== null && (!Number.isInteger(before) || before < 0)) {
+    return res.status(400).json({ error: "before must be a non-negative whole number" });
+  }
+
+  const release = await mutex.acquire();
+  try {
+    await activateWorkspace(getWorkspace(req));
+    const abiIndex = await getArtifactAbiIndex();
+    const labels = await createExplorerLabels();
+    const latestBlock = await provider.getBlockNumber();
+    const first = before === null ? latestBlock : Math.min(before - 1, latestBlock);
+
+    const blocks = [];
+    for (let number = first; number >= 0 && blocks.length < limit; number--) {
+      const block = await provider.getBlockWithTransactions(number);
+      const transactions = [];
+      for (const tx of block.transactions) {
+        transactions.push(describeTransaction(tx, await provider.getTransactionReceipt(tx.hash), abiIndex, labels));
+      }
+      blocks.push({
+        number: block.number,
+        hash: block.hash,
+        timestamp: block.timestamp,
+        phase: block.number <= baselineBlockNumber ? 'setup' : 'attack',
+        gasUsed: block.gasUsed.toNumber(),
+        transactions
+      });
+    }
+    res.json({ latestBlock, setupBlock: baselineBlockNumber, blocks });
+  } catch (err) {
+    console.error("Error listing blocks:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    release();
+  }
+});
+
+// A transaction with its calldata, decoded events and the URL of its call trace
+app.get('/explorer/tx/:hash', async (req, res) => {
+  if (!TX_HASH_REGEX.test(req.params.hash)) {
+    return res.status(400).json({ error: "Invalid transaction hash" });
+  }
+
+  const release = await mutex.acquire();
+  try {
+    await activateWorkspace(getWorkspace(req));
+    const tx = await provider.getTransaction(req.params.hash);
+    if (!tx) {
+      return res.status(404).json({ error: "Transaction not found in the current chain state" });
+    }
+    const receipt = await provider.getTransactionReceipt(tx.hash);
+    const abiIndex = await getArtifactAbiIndex();
+    const labels = await createExplorerLabels();
+    const block = await provider.getBlock(tx.blockNumber);
+
+    const events = receipt.logs.map(log => {
+      const decoded = decodeLogEvent(log, abiIndex);
+      return {
+        logIndex: log.logIndex,
+        address: log.address,
+        contract: labels.label(log.address),
+        ...(decoded
+          ? { event: decoded.event, signature: decoded.signature, args: decoded.args, formatted: labels.resolveValues(decoded.args) }
+          : { event: null, topics: log.topics, data: log.data })
+      };
+    });
+
+    res.json({
+      ...describeTransaction(tx, receipt, abiIndex, labels),
+      timestamp: block.timestamp,
+      phase: tx.blockNumber <= baselineBlockNumber ? 'setup' : 'attack',
+      nonce: tx.nonce,
+      gasLimit: tx.gasLimit.toString(),
+      input: tx.data,
+      events,
+      traceUrl: `/explorer/tx/${tx.hash}/trace`
+    });
+  } catch (err) {
+    console.error("Error fetching transaction:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    release();
   }
 });
 
+// Name the node's accounts and every attack contract in a decoded call tree, which only knows the current one
+function labelCallFrames(frame, labels) {
+  // Names given by describeCallFrame (e.g. "console") are kept, raw addresses are replaced
+  if (frame.fromName === frame.from) frame.fromName = labels.label(frame.from);
+  if (frame.toName === frame.to) frame.toName = labels.label(frame.to);
+  if (frame.context && frame.contextName === frame.context) frame.contextName = labels.label(frame.context);
+  if (frame.args) frame.args = labels.resolveValues(frame.args);
+  if (frame.returns) frame.returns = labels.resolveValues(frame.returns);
+  frame.calls.forEach(call => labelCallFrames(call, labels));
+}
+
+// The decoded call tree of a mined transaction, as shown after a submission
+app.get('/explorer/tx/:hash/trace', async (req, res) => {
+  if (!TX_HASH_REGEX.test(req.params.hash)) {
+    return res.status(400).json({ error: "Invalid transaction hash" });
+  }
+
+  const release = await mutex.acquire();
+  try {
+    await activateWorkspace(getWorkspace(req));
+    const tx = await provider.getTransaction(req.params.hash);
+    if (!tx) {
+      return res.status(404).json({ error: "Transaction not found in the current chain state" });
+    }
+    const labels = await createExplorerLabels();
+    const receipt = await provider.getTransactionReceipt(tx.hash);
+    const attackContractAddress = [tx.to, receipt.contractAddress]
+      .find(address => address && labels.attackContracts.has(address.toLowerCase()));
+    const callTrace = await fetchCallTrace(tx.hash, ATTACK_ENTRY_INTERFACE, attackContractAddress, labels.attackerAddress);
+    labelCallFrames(callTrace, labels);
+    res.json({ hash: tx.hash, callTrace });
+  } catch (err) {
+    console.error("Error tracing transaction:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    release();
+  }
+});
 
 app.get('/balance', async (req, res) => {
+  const release = await mutex.acquire();
   try {
+    await activateWorkspace(getWorkspace(req));
     const attacker = await getAttacker();
     const attackerAddress = await attacker.getAddress();
     
@@ -1586,14 +3508,17 @@ app.get('/balance', async (req, res) => {
   } catch (err) {
     console.error("Error fetching balance:", err);
     res.status(500).json({ error: err.message });
+  } finally {
+    release();
   }
 });
 
 app.post('/disable-history', async (req, res) => {
   try {
     // Clear history and switch to Exploration Mode
-    userHistory = [];
-    isNormalMode = false;
+    const workspace = getWorkspace(req);
+    workspace.userHistory = [];
+    workspace.isNormalMode = false;
     console.log("History cleared and switched to Exploration Mode");
     
     res.json({ 
@@ -1609,7 +3534,7 @@ app.post('/disable-history', async (req, res) => {
 app.post('/enable-history', async (req, res) => {
   try {
     // Switch to Normal Mode (re-enable history recording)
-    isNormalMode = true;
+    getWorkspace(req).isNormalMode = true;
     console.log("Switched to Normal Mode - history recording enabled");
     
     res.json({ 
@@ -1622,27 +3547,36 @@ app.post('/enable-history', async (req, res) => {
   }
 });
 
+// Mint 100k USDC to the attacker using the USDC owner signer that has minting rights
+async function mintFaucetUsdc() {
+  const attacker = await getAttacker();
+  const attackerAddress = await attacker.getAddress();
+  
+  // Load the compiled interface ABI
+  const USDC = await ethers.getContractFactory("USDC");
+  
+  // Get USDC contract with full interface including mint function
+  const usdcContract = new ethers.Contract(
+    deployedConfig.usdc,
+    USDC.interface,
+    await getUsdcSigner()
+  );
+  
+  // Mint 100k USDC to attacker (with 6 decimals)
+  const usdcAmount = ethers.utils.parseUnits("100000", 6);
+  const mintTx = await usdcContract.mint(attackerAddress, usdcAmount);
+  await mintTx.wait();
+  
+  console.log(`Faucet: Minted 100,000 USDC to ${attackerAddress}`);
+}
+
 app.post('/faucet', async (req, res) => {
+  const release = await mutex.acquire();
   try {
-    const attacker = await getAttacker();
-    const attackerAddress = await attacker.getAddress();
-    
-    // Load the compiled interface ABI
-    const USDC = await ethers.getContractFactory("USDC");
-    
-    // Get USDC contract with full interface including mint function
-    const usdcContract = new ethers.Contract(
-      deployedConfig.usdc,
-      USDC.interface,
-      await getUsdcSigner() // Use the USDC owner signer that has minting rights
-    );
-    
-    // Mint 100k USDC to attacker (with 6 decimals)
-    const usdcAmount = ethers.utils.parseUnits("100000", 6);
-    const mintTx = await usdcContract.mint(attackerAddress, usdcAmount);
-    await mintTx.wait();
-    
-    console.log(`Faucet: Minted 100,000 USDC to ${attackerAddress}`);
+    const workspace = getWorkspace(req);
+    await activateWorkspace(workspace);
+    await mintFaucetUsdc();
+    workspace.journal.push({ type: 'faucet' });
     
     res.json({ 
       success: true, 
@@ -1651,11 +3585,15 @@ app.post('/faucet', async (req, res) => {
   } catch (err) {
     console.error("Error processing faucet request:", err);
     res.status(500).json({ error: "Faucet failed: " + err.message });
+  } finally {
+    release();
   }
 });
 
 app.get('/lottery-challenges', async (req, res) => {
+  const release = await mutex.acquire();
   try {
+    await activateWorkspace(getWorkspace(req));
     const lotteryAddress = deployedConfig.lottery;
     
     // Load the compiled interface ABI
@@ -1714,18 +3652,199 @@ app.get('/lottery-challenges', async (req, res) => {
   } catch (err) {
     console.error("Error fetching lottery challenges:", err);
     res.status(500).json({ error: err.message });
+  } finally {
+    release();
   }
 });
 
-// Execute replay from uploaded file
-async function executeReplay(replayData, attacker, res) {
-  try {
-    
-    // Handle both single attack and multiple attacks in replay file
-    let transactions;
-    
-    if (replayData.attacks && Array.isArray(replayData.attacks)) {
-      console.log(`Found ${replayData.attacks.length} attacks in replay file`);
+// Replay files written by /download-history. Files without a version field are the original
+// { attacks: [{ code }], downloadTime } format and are replayed without any checks.
+const REPLAY_FORMAT_VERSION = 2;
+
+// What a replay depends on besides the submitted code: compiler settings, deployed contracts and the block timestamp
+function getEnvironmentFingerprint() {
+  return {
+    compilerSettings: COMPILER_SETTINGS,
+    deployedConfigHash,
+    baselineTimestamp
+  };
+}
+
+// History entries carry the compiler that built them, the mode they were recorded in, the score after them
+// and when they were recorded. History is only recorded in Normal Mode for now, but the mode is written out
+// so readers of the format do not have to infer it.
+function withReplayMetadata(entry, workspace, compilerVersion, score) {
+  return {
+    ...entry,
+    compilerVersion,
+    mode: workspace.isNormalMode ? 'normal' : 'exploration',
+    expectedScore: score,
+    timestamp: Date.now()
+  };
+}
+
+// What GET /history shows about the attack behind an entry
+function summarizeHistoryResult({ contractAddress, score, gas, events, consoleLogs }) {
+  return {
+    contractAddress,
+    score,
+    gasUsed: gas.totalGasUsed,
+    costEth: gas.totalCostEth,
+    events,
+    consoleLogs
+  };
+}
+
+// Compare the fingerprint of a replay file with this server.
+// Different contracts or a different baseline timestamp make the recorded attacks meaningless here, so those refuse the replay;
+// different compiler settings only warn, the same code usually still behaves the same.
+function checkReplayFingerprint(replayData) {
+  const warnings = [];
+  const mismatches = [];
+
+  if (replayData.version === undefined) {
+    warnings.push("Replay file uses the old format without an environment fingerprint; it was not checked against this setup.");
+    return { warnings, mismatches };
+  }
+  if (replayData.version !== REPLAY_FORMAT_VERSION) {
+    throw new Error(`Unsupported replay file version ${replayData.version}. This server reads version ${REPLAY_FORMAT_VERSION} and files without a version.`);
+  }
+
+  const recorded = replayData.environment || {};
+  const current = getEnvironmentFingerprint();
+  if (recorded.deployedConfigHash !== current.deployedConfigHash) {
+    mismatches.push("The challenge contracts (deployed.json) differ from the ones the replay was recorded against.");
+  }
+  if (recorded.baselineTimestamp !== current.baselineTimestamp) {
+    mismatches.push(`The baseline timestamp differs: recorded ${recorded.baselineTimestamp}, current ${current.baselineTimestamp}.`);
+  }
+  if (JSON.stringify(recorded.compilerSettings) !== JSON.stringify(current.compilerSettings)) {
+    warnings.push("The compiler settings differ from the ones the replay was recorded with; bytecode and gas may differ.");
+  }
+  return { warnings, mismatches };
+}
+
+// Replay one attack of a replay file like /submit-attack would run it.
+// Compilation and runtime failures are reported in the step instead of being thrown.
+// With `recordBalanceChanges`, the step also lists the tracked balances the attack changed (slow, every address is queried twice).
+// Returns the step result and the history entry to record if the whole replay succeeds.
+async function replayAttackStep(index, txData, attacker, attackerAddress, workspace, scoreBefore, { recordBalanceChanges = false } = {}) {
+  const step = { index, success: false, contractName: null, contractAddress: null, scoreBefore, score: scoreBefore, events: [], consoleLogs: [], gas: null };
+  if (typeof txData.expectedScore === 'number') {
+    step.expectedScore = txData.expectedScore;
+  }
+
+  console.log("Compiling contract code for replay");
+  let abi, bytecode, contractName, compilerVersion, deployment;
+  try {
+    ({ abi, bytecode, contractName, compilerVersion } = compileSolidity(txData.files || txData.code, txData.contractName));
+    deployment = prepareDeployment(abi, txData);
+    console.log("Replay compilation successful");
+  } catch (compilationError) {
+    console.error("Replay compilation error:", compilationError);
+    step.error = "Failed to compile contract code during replay: " + sanitizeErrorMessage(compilationError.message);
+    step.compilerMessages = compilationError.compilerMessages;
+    return { step, historyEntry: null };
+  }
+  step.contractName = contractName;
+  step.compilerVersion = compilerVersion;
+
+  workspace.journal.push({ type: 'attack', abi, bytecode, deployment });
+  const balancesBefore = recordBalanceChanges ? await captureBalances(getTrackedAddresses(attackerAddress)) : null;
+  const attackReceipts = [];
+  try {
+    const { attackContract, receipt } = await executeAttackTransactions(attacker, abi, bytecode, attackReceipts, deployment);
+    step.contractAddress = attackContract.address;
+    step.consoleLogs = await collectConsoleLogs();
+    step.events = parseReceiptEvents(receipt.logs, attackContract.address, attackerAddress);
+    step.success = true;
+  } catch (runtimeError) {
+    await provider.send("evm_setAutomine", [true]);
+    step.consoleLogs = await collectConsoleLogs();
+    const failure = await explainAttackFailure(runtimeError, attackReceipts, abi, attackerAddress);
+    step.error = sanitizeErrorMessage(failure.message);
+    step.revert = failure.revert;
+    const deployReceipt = attackReceipts.find(entry => entry.label === "Deploy");
+    step.contractAddress = deployReceipt ? deployReceipt.receipt.contractAddress : null;
+  }
+
+  // Failed attacks still pay for the transactions that were mined
+  const gasSummary = summarizeTransactionGas(attackReceipts);
+  step.gas = buildGasReport(gasSummary, recordGasSpent(workspace, gasSummary), null);
+  step.score = await calculateTotalWorthInETH(attackerAddress);
+  console.log(`Score after attack ${index + 1}: ${step.score} ETH`);
+  if (recordBalanceChanges) {
+    const tracked = getTrackedAddresses(attackerAddress, step.contractAddress);
+    step.balanceChanges = buildBalanceChanges(tracked, balancesBefore, await captureBalances(tracked)).filter(row => row.changed);
+  }
+
+  const historyEntry = withReplayMetadata(toHistoryEntry(getSubmittedSources(txData), txData.contractName, deployment), workspace, compilerVersion, step.score);
+  if (step.success) {
+    historyResults.set(historyEntry, summarizeHistoryResult(step));
+  }
+  return { step, historyEntry };
+}
+
+// Scores are not rounded, so a step that is reproduced exactly has a delta of 0. The tolerance only absorbs
+// differences below 1 gwei, such as wei left over from the integer divisions of the price conversion,
+// which roundScore would not show anyway
+const REPLAY_SCORE_TOLERANCE = 1e-9;
+
+// Differences of two scores without floating point noise such as 1.1102230246251565e-16
+function roundScore(value) {
+  return Number(value.toFixed(9));
+}
+
+// Pass/fail of every replayed attack against the score recorded in the file, plus the final delta.
+// `attacks` are the attacks of the replayed range, the first of them at index `firstIndex` of the file.
+// Attacks after a failed one are reported as not run; attacks without a recorded score cannot be checked.
+function buildVerificationReport(attacks, firstIndex, steps, finalScore) {
+  const reportSteps = attacks.map((attack, offset) => {
+    const index = firstIndex + offset;
+    const expectedScore = typeof attack.expectedScore === 'number' ? attack.expectedScore : null;
+    const step = steps.find(replayed => replayed.index === index);
+    if (!step) {
+      return { index, status: 'not run', expectedScore, score: null, delta: null };
+    }
+    if (!step.success) {
+      return { index, status: 'error', expectedScore, score: step.score, delta: null, error: step.error };
+    }
+    if (expectedScore === null) {
+      return { index, status: 'unchecked', expectedScore, score: step.score, delta: null };
+    }
+    const delta = roundScore(step.score - expectedScore);
+    return { index, status: Math.abs(delta) <= REPLAY_SCORE_TOLERANCE ? 'pass' : 'fail', expectedScore, score: step.score, delta };
+  });
+
+  const lastExpected = reportSteps[reportSteps.length - 1].expectedScore;
+  const counts = { pass: 0, fail: 0, error: 0, unchecked: 0, 'not run': 0 };
+  reportSteps.forEach(step => counts[step.status]++);
+  return {
+    passed: counts.pass === reportSteps.length,
+    passedSteps: counts.pass,
+    failedSteps: counts.fail + counts.error,
+    uncheckedSteps: counts.unchecked + counts['not run'],
+    finalScore,
+    expectedFinalScore: lastExpected,
+    finalDelta: lastExpected === null ? null : roundScore(finalScore - lastExpected),
+    steps: reportSteps
+  };
+}
+
+// Options: `ignoreFingerprint` replays files recorded against a different setup,
+// `ignoreIntegrity` replays files whose hash chain or signature does not check out (see historyIntegrity.js),
+// `verify` starts from the initial state (clearing the workspace like /revert) and checks every step's recorded score,
+// `checkScores` checks the recorded scores of a range without resetting, for the later steps of a verified step-through,
+// `fromAttack`/`toAttack` (1-based, inclusive) replay only part of the file on top of the current state,
+// `continueOnError` keeps going after a failed attack instead of stopping (failed attacks are always rolled back),
+// `recordBalanceChanges` adds the changed balances to every step (see replayAttackStep).
+// Returns the HTTP status and response body of the replay; executeReplay sends them.
+async function runReplay(replayData, attacker, workspace, { ignoreFingerprint = false, ignoreIntegrity = false, verify = false, checkScores = false, fromAttack, toAttack, continueOnError = false, recordBalanceChanges = false } = {}) {
+  try {
+    
+    // Handle both single attack and multiple attacks in replay file
+    if (replayData.attacks && Array.isArray(replayData.attacks)) {
+      console.log(`Found ${replayData.attacks.length} attacks in replay file`);
     } else {
       throw new Error("Invalid replay file format - no valid transactions found");
     }
@@ -1735,100 +3854,138 @@ async function executeReplay(replayData, attacker, res) {
     if (replayData.attacks.length === 0) {
       throw new Error("No attacks found in replay data");
     }
-    // Replay transactions in order
-    let contractABI = null;
-    let attackCount = 0;
-    
-    for (let i = 0; i < replayData.attacks.length; i++) {
+
+    const attackCount = replayData.attacks.length;
+    const first = fromAttack === undefined ? 1 : fromAttack;
+    const last = toAttack === undefined ? attackCount : toAttack;
+    if (!Number.isInteger(first) || !Number.isInteger(last) || first < 1 || last > attackCount || first > last) {
+      throw new Error(`Invalid attack range ${first}..${last}. The replay file contains attacks 1..${attackCount}.`);
+    }
+    if (verify && first !== 1) {
+      throw new Error("A verified replay starts from the initial state, so it must start at attack 1.");
+    }
+
+    const { warnings, mismatches } = checkReplayFingerprint(replayData);
+    if (mismatches.length > 0) {
+      if (!ignoreFingerprint) {
+        return { status: 400, body: {
+          error: "Replay refused: this replay was recorded against a different setup. " + mismatches.join(" "),
+          fingerprintMismatches: mismatches,
+          warnings,
+          replayMode: true
+        } };
+      }
+      warnings.push(...mismatches.map(mismatch => `Replaying anyway: ${mismatch}`));
+    }
+    // Files must still be exactly what a trusted server signed; edited files, and files whose hash chain or signature
+    // was removed, are refused unless the caller opts out (like scripts/verifyReplay.js without --allow-unsigned).
+    // Only the original unversioned format predates signing; it replays with a warning.
+    const integrity = verifyHistoryIntegrity(replayData, getTrustedHistoryKeys());
+    if (replayData.version !== undefined) {
+      if (!integrity.sealed) integrity.problems.push("The file carries no hash chain.");
+      if (!integrity.signed) integrity.problems.push("The file is not signed.");
+      integrity.valid = integrity.problems.length === 0;
+    }
+    if (!integrity.valid) {
+      if (!ignoreIntegrity) {
+        return { status: 400, body: {
+          error: "Replay refused: the file failed the integrity check. " + integrity.problems.join(" "),
+          integrity,
+          warnings,
+          replayMode: true
+        } };
+      }
+      warnings.push(...integrity.problems.map(problem => `Integrity check failed, replaying anyway: ${problem}`));
+    } else if (!integrity.signed) {
+      warnings.push("The file uses the old format without a signature, so it cannot be told apart from an edited file.");
+    }
+    warnings.forEach(warning => console.warn(`Replay warning: ${warning}`));
+
+    if (verify) {
+      console.log("Verified replay: reverting to the initial state first");
+      await resetWorkspace(workspace);
+    }
+
+    const attackerAddress = await attacker.getAddress();
+
+    // Replay transactions in order, stopping at the first failed step unless continuing on errors.
+    // A failed step is rolled back (its deployment and approvals used nonces), so the chain only holds the attacks
+    // that end up in the history and a download of that history reproduces the same contract addresses.
+    const steps = [];
+    const historyEntries = [];
+    let score = await calculateTotalWorthInETH(attackerAddress);
+    for (let i = first - 1; i < last; i++) {
+      console.log(`Processing transaction ${i + 1}/${attackCount}:`);
       const txData = replayData.attacks[i];
-        console.log(`Processing transaction ${i + 1}/${replayData.attacks.length}:`);
-        
-        // Get initial block for this attack
-        const initialBlock = await provider.getBlock('latest');
-        const initialTimestamp = initialBlock.timestamp;
-        
-        // Compile the source code
-        console.log("Compiling contract code for replay");
-        let abi, bytecode;
-        try {
-          ({ abi, bytecode } = compileSolidity(txData.code));
-          console.log("Replay compilation successful");
-        } catch (compilationError) {
-          console.error("Replay compilation error:", compilationError);
-          throw new Error("Failed to compile contract code during replay: " + sanitizeErrorMessage(compilationError.message));
-        }
-        
-        // ===== TRANSACTION 1: Deploy attack contract =====
-        await provider.send("evm_setNextBlockTimestamp", [initialTimestamp]);
-        const factory = new ethers.ContractFactory(abi, bytecode, attacker);
-        const attackContract = await factory.deploy();
-        await attackContract.deployed();
-        console.log(`Attack contract deployed at: ${attackContract.address}`);
-        
-        // ===== TRANSACTION 2: Batch all approvals in one block =====
-        await provider.send("evm_setAutomine", [false]);
-        
-        // Approve WETH, USDC, and NISC for the attack contract
-        const erc20ABI = ["function approve(address spender, uint256 amount) returns (bool)"];
-        const maxApproval = ethers.constants.MaxUint256;
-        
-        // Queue all approval transactions (won't mine yet)
-        const wethContract = new ethers.Contract(deployedConfig.weth, erc20ABI, attacker);
-        const wethApproveTx = await wethContract.approve(attackContract.address, maxApproval);
-        
-        const usdcContract = new ethers.Contract(deployedConfig.usdc, erc20ABI, attacker);
-        const usdcApproveTx = await usdcContract.approve(attackContract.address, maxApproval);
-        
-        const niscContract = new ethers.Contract(deployedConfig.nisc, erc20ABI, attacker);
-        const niscApproveTx = await niscContract.approve(attackContract.address, maxApproval);
-        
-        // Mine approvals at same timestamp
-        await provider.send("evm_setNextBlockTimestamp", [initialTimestamp]);
-        await provider.send("evm_mine", []);
-        console.log(`All approvals mined in block at timestamp ${initialTimestamp}`);
-        
-        // ===== TRANSACTION 3: Execute Attack() with same timestamp =====
-        // Send Attack() transaction (won't mine yet)
-        const tx = await attackContract.connect(attacker).Attack();
-        console.log(`Attack() transaction sent with hash: ${tx.hash}`);
-        
-        // Mine attack with same timestamp
-        await provider.send("evm_setNextBlockTimestamp", [initialTimestamp]);
-        await provider.send("evm_mine", []);
-        console.log(`Attack() mined in block at timestamp ${initialTimestamp}`);
-        
-        // Wait for the Attack() transaction receipt
-        const receipt = await tx.wait();
-        console.log("Attack() function executed");
-        
-        // Re-enable automine for subsequent operations
-        await provider.send("evm_setAutomine", [true]);
-        console.log("Automine re-enabled");
-        
-        attackCount++;
-        
-        // Check balance after each attack
-        const currentBalance = await provider.getBalance(await attacker.getAddress());
-        console.log(`Balance after attack ${attackCount}: ${ethers.utils.formatEther(currentBalance)} ETH`);
+      const restorePoint = await captureRestorePoint(workspace);
+      const { step, historyEntry } = await replayAttackStep(i, txData, attacker, attackerAddress, workspace, score, { recordBalanceChanges });
+      if (txData.compilerVersion && step.compilerVersion && txData.compilerVersion !== step.compilerVersion) {
+        warnings.push(`Attack ${i + 1} was recorded with solc ${txData.compilerVersion} but compiled with solc ${step.compilerVersion}.`);
+      }
+      steps.push(step);
+      if (!step.success) {
+        await restoreToPoint(workspace, restorePoint);
+        step.rolledBack = true;
+        console.log(`Attack ${i + 1} failed and was rolled back`);
+        if (!continueOnError) break;
+        continue;
+      }
+      score = step.score;
+      historyEntries.push(historyEntry);
     }
     
-    const attackerAddress = await attacker.getAddress();
-    const balance = await calculateTotalWorthInETH(attackerAddress);
+    // Add the successfully replayed attacks to the user's history if in Normal Mode, like /submit-attack does.
+    // This includes the attacks before a failed one: they stay on the chain, so the history has to list them.
+    // The entries are rewritten in the current format with the scores of this replay
+    const recordedAttacks = workspace.isNormalMode ? historyEntries.length : 0;
+    if (workspace.isNormalMode) {
+      console.log(`Adding ${historyEntries.length} replayed attacks to history`);
+      workspace.userHistory.push(...historyEntries);
+    }
     
-    // Add replayed attacks to the user's history if in Normal Mode
-    if (isNormalMode && replayData.attacks && Array.isArray(replayData.attacks)) {
-      console.log(`Adding ${replayData.attacks.length} replayed attacks to history`);
-      userHistory.push(...replayData.attacks);
+    const range = { fromAttack: first, toAttack: last, attackCount };
+    const verification = verify || checkScores
+      ? buildVerificationReport(replayData.attacks.slice(first - 1, last), first - 1, steps, score)
+      : undefined;
+    const failedSteps = steps.filter(step => !step.success);
+    if (failedSteps.length > 0) {
+      const failedStep = failedSteps[0];
+      const error = failedSteps.length === 1
+        ? `Attack ${failedStep.index + 1}: ${failedStep.error}`
+        : `${failedSteps.length} attacks failed (${failedSteps.map(step => step.index + 1).join(", ")}). Attack ${failedStep.index + 1}: ${failedStep.error}`;
+      return { status: 400, body: {
+        error,
+        revert: failedStep.revert,
+        failedAttack: failedStep.index + 1,
+        failedAttacks: failedSteps.map(step => step.index + 1),
+        recordedAttacks,
+        score,
+        steps,
+        range,
+        warnings,
+        integrity,
+        verification,
+        gas: { history: describeGasSpent(workspace) },
+        replayMode: true
+      } };
     }
     
-    res.json({ 
+    return { status: 200, body: { 
       success: true, 
-      score: balance, 
+      score, 
+      recordedAttacks,
+      steps,
+      range,
+      warnings,
+      integrity,
+      verification,
+      gas: { history: describeGasSpent(workspace) },
       message: "Replay executed successfully!",
       replayMode: true
-    });
+    } };
   } catch (err) {
     console.error("Error executing replay:", err);
+    await provider.send("evm_setAutomine", [true]);
     
     // Parse error message similar to regular attack execution
     let reason = "";
@@ -1851,30 +4008,578 @@ async function executeReplay(replayData, attacker, res) {
       }
     }
     
-    res.status(400).json({ error: sanitizeErrorMessage(reason) });
+    return { status: 400, body: { error: sanitizeErrorMessage(reason) } };
+  }
+}
+
+// Execute replay from uploaded file
+async function executeReplay(replayData, attacker, workspace, res, options) {
+  const { status, body } = await runReplay(replayData, attacker, workspace, options);
+  res.status(status).json(body);
+}
+
+// The code of a history entry as one text for diffing; multi-file entries get a header line per file
+function getEntryCodeText(entry) {
+  const sources = getSubmittedSources(entry) || {};
+  const fileNames = Object.keys(sources);
+  if (fileNames.length === 1 && fileNames[0] === MAIN_SOURCE_FILE) {
+    return sources[MAIN_SOURCE_FILE];
+  }
+  return fileNames.sort().map(name => `// ==== ${name} ====\n${sources[name]}`).join('\n');
+}
+
+// What the comparison shows of one side of a step; null if the file has no attack at that position
+function describeComparedStep(entry, step) {
+  if (!entry) return null;
+  if (!step) return { run: false, contractName: entry.contractName || null, expectedScore: entry.expectedScore };
+  return {
+    run: true,
+    contractName: step.contractName,
+    success: step.success,
+    error: step.error,
+    scoreBefore: step.scoreBefore,
+    score: step.score,
+    scoreChange: roundScore(step.score - step.scoreBefore),
+    expectedScore: step.expectedScore,
+    gasUsed: step.gas ? step.gas.totalGasUsed : null,
+    events: step.events,
+    balanceChanges: step.balanceChanges
+  };
+}
+
+// Align two replays attack by attack: code diff, both outcomes and the score difference.
+// The trajectories diverge at the first attack where the scores differ, one side failed or one file has no attack.
+function compareReplayRuns(leftData, rightData, leftResult, rightResult) {
+  const length = Math.max(leftData.attacks.length, rightData.attacks.length);
+  const steps = [];
+  let divergence = null;
+  for (let i = 0; i < length; i++) {
+    const leftEntry = leftData.attacks[i];
+    const rightEntry = rightData.attacks[i];
+    const left = describeComparedStep(leftEntry, leftResult.steps.find(step => step.index === i));
+    const right = describeComparedStep(rightEntry, rightResult.steps.find(step => step.index === i));
+
+    const leftCode = leftEntry ? getEntryCodeText(leftEntry) : '';
+    const rightCode = rightEntry ? getEntryCodeText(rightEntry) : '';
+    const codeChanged = leftCode !== rightCode;
+    const bothRun = left && right && left.run && right.run;
+    const scoreDifference = bothRun ? roundScore(right.score - left.score) : null;
+
+    if (!divergence) {
+      let reason = null;
+      if (!left || !right) {
+        reason = `Only the ${left ? 'left' : 'right'} file has attack ${i + 1}.`;
+      } else if (!bothRun) {
+        reason = `Attack ${i + 1} was not run for the ${left.run ? 'right' : 'left'} file.`;
+      } else if (left.success !== right.success) {
+        reason = `Attack ${i + 1} failed only for the ${left.success ? 'right' : 'left'} file.`;
+      } else if (Math.abs(scoreDifference) > REPLAY_SCORE_TOLERANCE) {
+        reason = `The scores after attack ${i + 1} differ by ${scoreDifference} ETH.`;
+      }
+      if (reason) {
+        divergence = { attack: i + 1, reason, leftScore: left && left.run ? left.score : null, rightScore: right && right.run ? right.score : null };
+      }
+    }
+
+    steps.push({
+      attack: i + 1,
+      left,
+      right,
+      codeChanged,
+      codeDiff: codeChanged ? diffLines(leftCode, rightCode) : undefined,
+      scoreDifference
+    });
+  }
+
+  return {
+    left: { attackCount: leftData.attacks.length, finalScore: leftResult.score, warnings: leftResult.warnings },
+    right: { attackCount: rightData.attacks.length, finalScore: rightResult.score, warnings: rightResult.warnings },
+    finalScoreDifference: roundScore(rightResult.score - leftResult.score),
+    divergence,
+    steps
+  };
+}
+
+// Body: { left, right, ignoreFingerprint, ignoreIntegrity }, where left and right are the contents of two replay files.
+// Each file is replayed from the initial state in a throwaway workspace, so the session's own state and history are kept.
+app.post('/compare-replays', async (req, res) => {
+  const files = {};
+  for (const side of ['left', 'right']) {
+    try {
+      files[side] = typeof req.body[side] === 'string' ? JSON.parse(req.body[side]) : req.body[side];
+    } catch (err) {
+      return res.status(400).json({ error: `The ${side} file is not valid JSON` });
+    }
+    if (!files[side] || !Array.isArray(files[side].attacks) || files[side].attacks.length === 0) {
+      return res.status(400).json({ error: `The ${side} file contains no attacks` });
+    }
+  }
+
+  const release = await mutex.acquire();
+  try {
+    const attacker = await getAttacker();
+    const results = {};
+    for (const side of ['left', 'right']) {
+      console.log(`Comparing replays: replaying the ${side} file`);
+      const { body } = await runReplay(files[side], attacker, createWorkspace(`compare-${side}`), {
+        verify: true,
+        continueOnError: true,
+        recordBalanceChanges: true,
+        ignoreFingerprint: req.body.ignoreFingerprint === true,
+        ignoreIntegrity: req.body.ignoreIntegrity === true
+      });
+      if (!body.steps) {
+        return res.status(400).json({ error: `The ${side} file could not be replayed: ${body.error}` });
+      }
+      results[side] = body;
+    }
+    res.json(compareReplayRuns(files.left, files.right, results.left, results.right));
+  } catch (err) {
+    console.error("Error comparing replays:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    // The chain now holds the last replay; the session's workspace is rebuilt from its journal on its next request
+    activeWorkspace = null;
+    release();
   }
+});
+
+// Rebuild the chain from the initial state by replaying `history`, the chain then matches the history exactly.
+// Exploration Mode attacks and faucet mints are not part of the history, so they are dropped from the chain.
+async function replayHistory(workspace, history) {
+  const attacker = await getAttacker();
+  const attackerAddress = await attacker.getAddress();
+  await resetWorkspace(workspace);
+
+  const steps = [];
+  let score = await calculateTotalWorthInETH(attackerAddress);
+  for (let i = 0; i < history.length; i++) {
+    console.log(`Re-deriving history entry ${i + 1}/${history.length}`);
+    const { step, historyEntry } = await replayAttackStep(i, history[i], attacker, attackerAddress, workspace, score);
+    steps.push(step);
+    score = step.score;
+    if (!step.success) {
+      return { steps, score, failedStep: step };
+    }
+    // Unchanged entries keep the time they were first recorded
+    if (history[i].timestamp) {
+      historyEntry.timestamp = history[i].timestamp;
+    }
+    workspace.userHistory.push(historyEntry);
+  }
+  return { steps, score, failedStep: null };
+}
+
+// Replace the history with `history` and re-derive the chain from it.
+// If an attack of the new history fails, the previous history is re-derived instead and the failure is returned.
+async function rederiveHistory(workspace, history) {
+  const previousHistory = workspace.userHistory.slice();
+  const outcome = await replayHistory(workspace, history);
+  if (outcome.failedStep) {
+    console.log(`History edit rejected: attack ${outcome.failedStep.index + 1} failed, restoring the previous history`);
+    const restored = await replayHistory(workspace, previousHistory);
+    if (restored.failedStep) {
+      // Should not happen: every entry of the previous history replayed successfully before
+      console.error(`Previous history failed to replay at attack ${restored.failedStep.index + 1}`);
+    }
+  }
+  return outcome;
+}
+
+function describeHistory(workspace) {
+  return workspace.userHistory.map((entry, index) => ({
+    index,
+    ...entry,
+    result: historyResults.get(entry) || null
+  }));
+}
+
+// 0-based index of an existing entry, or null
+function parseHistoryIndex(value, length) {
+  const index = Number(value);
+  return Number.isInteger(index) && index >= 0 && index < length ? index : null;
 }
 
+// Validate a submitted history entry ({ code | files, contractName, constructorArgs, value }) by compiling it.
+// Throws compilation and deployment option errors, which carry `compilerMessages` like /submit-attack.
+function prepareHistoryEntry(input) {
+  const sources = getSubmittedSources(input || {});
+  if (!sources) {
+    throw new Error("Missing code");
+  }
+  const { abi } = compileSolidity(sources, input.contractName);
+  const deployment = prepareDeployment(abi, input);
+  return toHistoryEntry(sources, input.contractName, deployment);
+}
+
+// Shared by the history editing routes: re-derive the chain from `history` and answer with the resulting history
+async function respondWithRederivedHistory(workspace, history, res) {
+  const { steps, score, failedStep } = await rederiveHistory(workspace, history);
+  if (failedStep) {
+    return res.status(400).json({
+      error: `History not changed: attack ${failedStep.index + 1} fails after this edit. ${failedStep.error}`,
+      failedAttack: failedStep.index + 1,
+      steps,
+      history: describeHistory(workspace)
+    });
+  }
+  res.json({ success: true, score, steps, history: describeHistory(workspace) });
+}
+
+// Every history entry with its code, recording time, expected score and the outcome of the attack
+app.get('/history', (req, res) => {
+  const workspace = getWorkspace(req);
+  res.json({ history: describeHistory(workspace), recordingActive: workspace.isNormalMode });
+});
+
+app.delete('/history/:index', async (req, res) => {
+  const release = await mutex.acquire();
+  try {
+    const workspace = getWorkspace(req);
+    const index = parseHistoryIndex(req.params.index, workspace.userHistory.length);
+    if (index === null) {
+      return res.status(400).json({ error: "Invalid history index" });
+    }
+    const history = workspace.userHistory.filter((entry, i) => i !== index);
+    await respondWithRederivedHistory(workspace, history, res);
+  } catch (err) {
+    console.error("Error deleting history entry:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    release();
+  }
+});
+
+// Body: { order } - the current indices in their new order, e.g. [2, 0, 1]
+app.post('/history/reorder', async (req, res) => {
+  const release = await mutex.acquire();
+  try {
+    const workspace = getWorkspace(req);
+    const { order } = req.body;
+    const length = workspace.userHistory.length;
+    const indices = Array.isArray(order) ? order.map(i => parseHistoryIndex(i, length)) : [];
+    if (indices.length !== length || indices.includes(null) || new Set(indices).size !== length) {
+      return res.status(400).json({ error: `order must list every history index (0..${length - 1}) exactly once` });
+    }
+    const history = indices.map(i => workspace.userHistory[i]);
+    await respondWithRederivedHistory(workspace, history, res);
+  } catch (err) {
+    console.error("Error reordering history:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    release();
+  }
+});
+
+// Body: { position, entry } - an attack as found in a history file, inserted before `position` (default: at the end)
+app.post('/history/insert', async (req, res) => {
+  const release = await mutex.acquire();
+  try {
+    const workspace = getWorkspace(req);
+    const length = workspace.userHistory.length;
+    const position = req.body.position === undefined ? length : Number(req.body.position);
+    if (!Number.isInteger(position) || position < 0 || position > length) {
+      return res.status(400).json({ error: `Invalid position, expected 0..${length}` });
+    }
+
+    let entry;
+    try {
+      entry = prepareHistoryEntry(req.body.entry);
+    } catch (compilationError) {
+      return res.status(400).json({
+        error: sanitizeErrorMessage(compilationError.message),
+        compilerMessages: compilationError.compilerMessages
+      });
+    }
+    const history = [...workspace.userHistory];
+    history.splice(position, 0, entry);
+    await respondWithRederivedHistory(workspace, history, res);
+  } catch (err) {
+    console.error("Error inserting history entry:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    release();
+  }
+});
+
+// Body: { code | files } and optionally contractName, constructorArgs and value; omitted options keep their current value
+app.put('/history/:index', async (req, res) => {
+  const release = await mutex.acquire();
+  try {
+    const workspace = getWorkspace(req);
+    const index = parseHistoryIndex(req.params.index, workspace.userHistory.length);
+    if (index === null) {
+      return res.status(400).json({ error: "Invalid history index" });
+    }
+
+    const current = workspace.userHistory[index];
+    const { code, files, ...options } = req.body;
+    let entry;
+    try {
+      entry = prepareHistoryEntry({
+        contractName: current.contractName,
+        constructorArgs: current.constructorArgs,
+        value: current.value,
+        ...options,
+        code,
+        files
+      });
+    } catch (compilationError) {
+      return res.status(400).json({
+        error: sanitizeErrorMessage(compilationError.message),
+        compilerMessages: compilationError.compilerMessages
+      });
+    }
+    const history = [...workspace.userHistory];
+    history[index] = entry;
+    await respondWithRederivedHistory(workspace, history, res);
+  } catch (err) {
+    console.error("Error editing history entry:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    release();
+  }
+});
+
+app.get('/undo', (req, res) => {
+  res.json({ available: canUndo(getWorkspace(req)) });
+});
+
+app.post('/undo', async (req, res) => {
+  const release = await mutex.acquire();
+  try {
+    const workspace = getWorkspace(req);
+    const point = workspace.undoStack[workspace.undoStack.length - 1];
+    if (!point) {
+      return res.status(400).json({ error: "There is no submission to undo" });
+    }
+    if (workspace.journal.length !== point.journalLength + 1) {
+      return res.status(400).json({ error: "The faucet was used after the last submission, so it can no longer be undone" });
+    }
+    await undoLastSubmission(workspace);
+    const attacker = await getAttacker();
+    res.json({
+      success: true,
+      historyLength: workspace.userHistory.length,
+      score: await calculateTotalWorthInETH(await attacker.getAddress()),
+      canUndo: canUndo(workspace)
+    });
+  } catch (err) {
+    console.error("Error undoing last submission:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    release();
+  }
+});
+
+app.get('/checkpoints', (req, res) => {
+  const workspace = getWorkspace(req);
+  res.json({ checkpoints: workspace.checkpoints.map(describeCheckpoint) });
+});
+
+// Body: { name }
+app.post('/checkpoints', async (req, res) => {
+  const release = await mutex.acquire();
+  try {
+    const workspace = getWorkspace(req);
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > 64) {
+      return res.status(400).json({ error: "Checkpoint names must be 1 to 64 characters long" });
+    }
+    if (workspace.checkpoints.some(checkpoint => checkpoint.name === name)) {
+      return res.status(400).json({ error: `A checkpoint named '${name}' already exists` });
+    }
+    await activateWorkspace(workspace);
+    const checkpoint = await createCheckpoint(workspace, name);
+    console.log(`Checkpoint '${name}' created at history length ${checkpoint.historyLength} (snapshot ${checkpoint.snapshotId})`);
+    res.json({ success: true, checkpoint: describeCheckpoint(checkpoint), checkpoints: workspace.checkpoints.map(describeCheckpoint) });
+  } catch (err) {
+    console.error("Error creating checkpoint:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    release();
+  }
+});
+
+app.post('/checkpoints/:name/revert', async (req, res) => {
+  const release = await mutex.acquire();
+  try {
+    const workspace = getWorkspace(req);
+    const checkpoint = workspace.checkpoints.find(({ name }) => name === req.params.name);
+    if (!checkpoint) {
+      return res.status(404).json({ error: `Checkpoint '${req.params.name}' not found` });
+    }
+    await revertToCheckpoint(workspace, checkpoint);
+    res.json({ success: true, checkpoint: describeCheckpoint(checkpoint), checkpoints: workspace.checkpoints.map(describeCheckpoint) });
+  } catch (err) {
+    console.error("Error reverting to checkpoint:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    release();
+  }
+});
+
+// Forget a checkpoint. Its snapshot stays on the chain until the next revert discards it.
+app.delete('/checkpoints/:name', (req, res) => {
+  const workspace = getWorkspace(req);
+  const index = workspace.checkpoints.findIndex(({ name }) => name === req.params.name);
+  if (index === -1) {
+    return res.status(404).json({ error: `Checkpoint '${req.params.name}' not found` });
+  }
+  workspace.checkpoints.splice(index, 1);
+  res.json({ success: true, checkpoints: workspace.checkpoints.map(describeCheckpoint) });
+});
+
+// Editor contents of the session: { files, entryContract, constructorArgs, deployValue }, as entered in the UI
+app.get('/workspace/draft', (req, res) => {
+  res.json({ draft: getWorkspace(req).draft });
+});
+
+app.put('/workspace/draft', (req, res) => {
+  const { files, entryContract, constructorArgs, deployValue } = req.body;
+  const isFileMap = files && typeof files === 'object' && !Array.isArray(files) &&
+    Object.values(files).every(content => typeof content === 'string');
+  const options = [entryContract, constructorArgs, deployValue];
+  if (!isFileMap || options.some(option => option !== undefined && typeof option !== 'string')) {
+    return res.status(400).json({ error: "A draft needs a files map of file name -> source and string options" });
+  }
+  getWorkspace(req).draft = { files, entryContract, constructorArgs, deployValue };
+  res.json({ success: true });
+});
+
+// Query: ids, the comma-separated save ids the browser remembers.
+// Lists those of them that were saved before the last restart (or by sessions that have since expired),
+// and the id of the session's own save for the browser to remember.
+app.get('/saved-workspaces', (req, res) => {
+  try {
+    const saveIds = typeof req.query.ids === 'string' ? req.query.ids.split(',').filter(Boolean) : [];
+    res.json({ saved: listSavedWorkspaces(saveIds), current: getWorkspace(req).saveId });
+  } catch (err) {
+    console.error("Error listing saved workspaces:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Replace the session's workspace with a saved one: mode and draft are restored, the history is replayed from the initial state.
+// If an attack fails to replay, the save is kept untouched and the workspace holds the attacks before it.
+app.post('/saved-workspaces/:id/restore', async (req, res) => {
+  const release = await mutex.acquire();
+  try {
+    const workspace = getWorkspace(req);
+    const saveId = req.params.id;
+    const savePath = getWorkspaceSavePath(saveId);
+    if (!SAVE_ID_REGEX.test(saveId) || !fs.existsSync(savePath)) {
+      return res.status(404).json({ error: "Saved workspace not found" });
+    }
+    if (isSaveInUse(saveId)) {
+      return res.status(409).json({ error: "This saved workspace is already in use by another session" });
+    }
+    const saved = JSON.parse(fs.readFileSync(savePath, 'utf8'));
+    if (saved.version !== WORKSPACE_SAVE_VERSION) {
+      return res.status(400).json({ error: `Unsupported saved workspace version ${saved.version}` });
+    }
+
+    workspace.isNormalMode = saved.isNormalMode;
+    workspace.draft = saved.draft || null;
+    console.log(`Restoring saved workspace ${saveId} (${saved.history.length} attacks) into session workspace ${workspace.id}`);
+    const { steps, score, failedStep } = await replayHistory(workspace, saved.history);
+    if (failedStep) {
+      return res.status(400).json({
+        error: `Attack ${failedStep.index + 1} of the saved workspace failed to replay: ${failedStep.error}. The attacks before it were restored; the save was kept.`,
+        failedAttack: failedStep.index + 1,
+        steps,
+        history: describeHistory(workspace)
+      });
+    }
+
+    // The workspace continues in the restored save; its own previous save is no longer needed
+    fs.rmSync(getWorkspaceSavePath(workspace.saveId), { force: true });
+    workspace.saveId = saveId;
+    workspace.lastSaved = null;
+    res.json({ success: true, score, steps, history: describeHistory(workspace), isNormalMode: workspace.isNormalMode, draft: workspace.draft });
+  } catch (err) {
+    console.error("Error restoring saved workspace:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    release();
+  }
+});
+
+app.delete('/saved-workspaces/:id', (req, res) => {
+  const saveId = req.params.id;
+  if (!SAVE_ID_REGEX.test(saveId) || !fs.existsSync(getWorkspaceSavePath(saveId))) {
+    return res.status(404).json({ error: "Saved workspace not found" });
+  }
+  if (isSaveInUse(saveId)) {
+    return res.status(409).json({ error: "This saved workspace is in use by a session" });
+  }
+  fs.rmSync(getWorkspaceSavePath(saveId), { force: true });
+  res.json({ success: true });
+});
+
 // Get history count
 app.get('/history-count', (req, res) => {
-  res.json({ count: userHistory.length, recordingActive: isNormalMode });
+  const workspace = getWorkspace(req);
+  res.json({ count: workspace.userHistory.length, recordingActive: workspace.isNormalMode });
 });
 
 // Get current mode state
 app.get('/mode', (req, res) => {
   // Backend mode: 'normal' when isNormalMode is true, 'exploration' when false
+  const { isNormalMode } = getWorkspace(req);
   const mode = isNormalMode ? 'normal' : 'exploration';
   res.json({ mode, isNormalMode });
 });
 
 // Download accumulated replay history for a user
+// Downloaded history files are signed with this server's key (HISTORY_SIGNING_KEY), created on first use. Keep it private:
+// whoever has it can sign files that verify as coming from this server.
+let historySigningKey = null;
+let trustedHistoryKeys = null;
+
+function getHistorySigningKey() {
+  if (!historySigningKey) {
+    historySigningKey = loadSigningKey(SIGNING_KEY_PATH);
+    console.log(`Signing history files with key ${historySigningKey.keyId}`);
+  }
+  return historySigningKey;
+}
+
+// Replays only accept files signed with this server's key or a key listed in HISTORY_TRUSTED_KEYS
+function getTrustedHistoryKeys() {
+  if (!trustedHistoryKeys) {
+    getHistorySigningKey();
+    trustedHistoryKeys = loadTrustedPublicKeys();
+  }
+  return trustedHistoryKeys;
+}
+
+// The public key to hand to scripts/verifyReplay.js --public-key or to list in another server's HISTORY_TRUSTED_KEYS,
+// to accept files signed by this server
+app.get('/history-public-key', (req, res) => {
+  try {
+    const { publicKey, keyId } = getHistorySigningKey();
+    res.json({ keyId, publicKey });
+  } catch (err) {
+    console.error("Error loading history signing key:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 app.get('/download-history', (req, res) => {
+  const { userHistory } = getWorkspace(req);
   if (userHistory.length === 0) {
     return res.status(404).json({ error: "No replay history found for this user" });
   }
   
+  // Every attack is chained to the previous one by hash and the head of the chain is signed (see historyIntegrity.js)
+  const environment = getEnvironmentFingerprint();
+  const attacks = sealHistory(userHistory, environment);
   const replayData = {
-    attacks: userHistory,
+    version: REPLAY_FORMAT_VERSION,
+    environment,
+    attacks,
+    signature: signHistory(attacks, environment, getHistorySigningKey()),
     downloadTime: Date.now()
   };
   
@@ -1889,3 +4594,6 @@ app.get('/download-history', (req, res) => {
   // Send the JSON directly without writing to filesystem
   res.send(jsonString);
 });
+
+// Used by scripts/replayHelper.js to replay files on a fresh node without starting the web server
+module.exports = { startChain, createWorkspace, getAttacker, runReplay };
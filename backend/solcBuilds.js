@@ -0,0 +1,83 @@
+// backend/solcBuilds.js
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const solc = require('solc');
+const solcWrapper = require('solc/wrapper');
+
+// Additional compiler builds, named like the official binaries: soljson-v0.8.20+commit.a1b79de6.js
+const BUILDS_DIR = process.env.SOLC_BUILDS_DIR || path.join(__dirname, '..', 'compilers');
+const BUILD_FILE_REGEX = /^soljson-v(\d+\.\d+\.\d+)\+commit\.[0-9a-f]+\.js$/;
+
+const BUNDLED_VERSION = semver.coerce(solc.version()).version;
+
+// Builds are large, so each one is loaded at most once
+const loadedCompilers = new Map();
+
+/**
+ * Lists the compiler versions available to submissions: the bundled solc package
+ * plus every build found in the builds directory.
+ *
+ * @returns {Array<{version: string, file: string|null}>} Newest first; `file` is null for the bundled compiler.
+ */
+function listInstalledCompilers() {
+  const compilers = new Map([[BUNDLED_VERSION, null]]);
+  if (fs.existsSync(BUILDS_DIR)) {
+    for (const file of fs.readdirSync(BUILDS_DIR)) {
+      const match = file.match(BUILD_FILE_REGEX);
+      if (match && !compilers.has(match[1])) {
+        compilers.set(match[1], path.join(BUILDS_DIR, file));
+      }
+    }
+  }
+  return [...compilers]
+    .map(([version, file]) => ({ version, file }))
+    .sort((a, b) => semver.rcompare(a.version, b.version));
+}
+
+/**
+ * Converts a Solidity version pragma to a semver range.
+ * Solidity allows whitespace between an operator and its version ("^ 0.8.0"), semver does not.
+ *
+ * @param {string} pragma - The text between `pragma solidity` and `;`.
+ * @returns {string|null} The normalized range, or null if it is not a valid range.
+ */
+function pragmaToRange(pragma) {
+  return semver.validRange(pragma.trim().replace(/([<>=^~]+)\s+/g, '$1'));
+}
+
+/**
+ * Picks the newest installed compiler that satisfies every given pragma.
+ *
+ * @param {string[]} pragmas - Version pragmas of all submitted files, e.g. ["^0.8.0", ">=0.8.20 <0.9.0"].
+ * @returns {{version: string, compiler: object}} The version and a loaded solc instance.
+ * @throws {Error} If a pragma is malformed or no installed version satisfies all of them.
+ */
+function selectCompiler(pragmas) {
+  const ranges = pragmas.map(pragma => {
+    const range = pragmaToRange(pragma);
+    if (!range) {
+      throw new Error(`Compilation failed: Invalid Solidity version pragma '${pragma}'.`);
+    }
+    return range;
+  });
+
+  const installed = listInstalledCompilers();
+  const match = installed.find(({ version }) => ranges.every(range => semver.satisfies(version, range)));
+  if (!match) {
+    const wanted = [...new Set(pragmas)].map(pragma => `'${pragma}'`).join(" and ");
+    throw new Error(`Compilation failed: No installed Solidity compiler satisfies ${wanted}. Installed versions: ${installed.map(({ version }) => version).join(", ")}.`);
+  }
+
+  return { version: match.version, compiler: loadCompiler(match) };
+}
+
+function loadCompiler({ version, file }) {
+  if (!file) return solc;
+  if (!loadedCompilers.has(version)) {
+    loadedCompilers.set(version, solcWrapper(require(file)));
+  }
+  return loadedCompilers.get(version);
+}
+
+module.exports = { listInstalledCompilers, selectCompiler, BUNDLED_VERSION };
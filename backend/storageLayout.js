@@ -0,0 +1,183 @@
+// backend/storageLayout.js
+const { ethers } = require('ethers');
+
+// Elements shown of a dynamic array when no limit is given, and the most that can be requested
+const DEFAULT_ARRAY_LIMIT = 10;
+const MAX_ARRAY_LIMIT = 100;
+// Long strings and bytes are read up to this many slots
+const MAX_BYTES_SLOTS = 32;
+
+function toSlotHex(slot) {
+  return ethers.utils.hexZeroPad(ethers.BigNumber.from(slot).toHexString(), 32);
+}
+
+function keccakSlot(data) {
+  return BigInt(ethers.utils.keccak256(data));
+}
+
+// ABI type used to encode mapping keys and decode values: contracts are addresses, enums are uint8
+function toAbiType(typeLabel) {
+  if (typeLabel.startsWith('contract ') || typeLabel.startsWith('interface ')) return 'address';
+  if (typeLabel.startsWith('enum ')) return 'uint8';
+  return typeLabel.replace(/ payable$/, '');
+}
+
+// Decode the `size` bytes at `offset` (counted from the right, as solc packs them) of a 32-byte slot value
+function decodeValue(slotValue, offset, size, typeLabel) {
+  const bytes = ethers.utils.arrayify(slotValue);
+  const part = bytes.slice(32 - offset - size, 32 - offset);
+  const abiType = toAbiType(typeLabel);
+  if (/^bytes\d+$/.test(abiType)) {
+    return ethers.utils.hexlify(part);
+  }
+  const value = ethers.BigNumber.from(part);
+  if (abiType === 'bool') return !value.isZero();
+  if (abiType === 'address') return ethers.utils.getAddress(ethers.utils.hexZeroPad(value.toHexString(), 20));
+  if (/^int\d+$/.test(abiType)) return value.fromTwos(size * 8).toString();
+  return value.toString();
+}
+
+// The storage slot of `mapping[key]` for a mapping at `slot`
+function mappingSlot(slot, keyType, key) {
+  const slotBytes = toSlotHex(slot);
+  if (keyType.label === 'string') {
+    return keccakSlot(ethers.utils.concat([ethers.utils.toUtf8Bytes(String(key)), slotBytes]));
+  }
+  if (keyType.label === 'bytes') {
+    return keccakSlot(ethers.utils.concat([ethers.utils.arrayify(key), slotBytes]));
+  }
+  const encodedKey = ethers.utils.defaultAbiCoder.encode([toAbiType(keyType.label)], [key]);
+  return keccakSlot(ethers.utils.concat([encodedKey, slotBytes]));
+}
+
+/**
+ * Decodes the state variables of a contract from its solc storage layout.
+ *
+ * @param {{storage: object[], types: object|null}} layout - The `storageLayout` output of solc.
+ * @param {function(bigint): Promise<string>} readSlot - Reads a slot, e.g. with eth_getStorageAt.
+ * @param {object} [options]
+ * @param {Object<string, Array>} [options.keys] - Keys to read per mapping variable. A key of a nested mapping
+ *   is an array with one key per level, e.g. { allowance: [["0xabc...", "0xdef..."]] }.
+ * @param {number} [options.arrayLimit] - How many elements of each dynamic array to read.
+ * @returns {Promise<object[]>} One node per variable: { label, type, slot, offset, value | members | elements | entries, ... }.
+ */
+async function decodeStorage(layout, readSlot, { keys = {}, arrayLimit = DEFAULT_ARRAY_LIMIT } = {}) {
+  const types = layout.types || {};
+  const limit = Math.min(Math.max(0, Number(arrayLimit) || 0), MAX_ARRAY_LIMIT);
+  const slotCache = new Map();
+  const read = async (slot) => {
+    if (!slotCache.has(slot)) slotCache.set(slot, await readSlot(slot));
+    return slotCache.get(slot);
+  };
+
+  async function decodeBytes(type, slot) {
+    const head = ethers.BigNumber.from(await read(slot));
+    const long = head.and(1).eq(1);
+    const length = long ? head.sub(1).div(2).toNumber() : ethers.utils.arrayify(await read(slot))[31] / 2;
+    let data;
+    if (long) {
+      const start = keccakSlot(toSlotHex(slot));
+      const slotCount = Math.min(Math.ceil(length / 32), MAX_BYTES_SLOTS);
+      const chunks = [];
+      for (let i = 0; i < slotCount; i++) {
+        chunks.push(ethers.utils.arrayify(await read(start + BigInt(i))));
+      }
+      data = ethers.utils.concat(chunks).slice(0, length);
+    } else {
+      data = ethers.utils.arrayify(await read(slot)).slice(0, length);
+    }
+    const truncated = data.length < length;
+    if (type.label === 'string') {
+      return { value: ethers.utils.toUtf8String(data, ethers.utils.Utf8ErrorFuncs.replace), length, truncated };
+    }
+    return { value: ethers.utils.hexlify(data), length, truncated };
+  }
+
+  // Elements of a static or dynamic array starting at `start`; elements of 16 bytes or less are packed into shared slots
+  async function decodeElements(baseTypeId, start, count, keyPaths) {
+    const base = types[baseTypeId];
+    const size = Number(base.numberOfBytes);
+    const perSlot = size <= 16 ? Math.floor(32 / size) : 1;
+    const slotsPerElement = size <= 16 ? 1 : Math.ceil(size / 32);
+    const elements = [];
+    for (let i = 0; i < count; i++) {
+      const slot = start + BigInt(perSlot > 1 ? Math.floor(i / perSlot) : i * slotsPerElement);
+      const offset = perSlot > 1 ? (i % perSlot) * size : 0;
+      elements.push(await decodeNode(`[${i}]`, baseTypeId, slot, offset, keyPaths));
+    }
+    return elements;
+  }
+
+  // keyPaths are the mapping keys still to be applied below this node
+  async function decodeNode(label, typeId, slot, offset, keyPaths) {
+    const type = types[typeId];
+    const node = { label, type: type.label, slot: toSlotHex(slot), offset };
+
+    if (type.encoding === 'mapping') {
+      const keyType = types[type.key];
+      node.entries = [];
+      for (const keyPath of keyPaths) {
+        const [key, ...rest] = Array.isArray(keyPath) ? keyPath : [keyPath];
+        let entrySlot;
+        try {
+          entrySlot = mappingSlot(slot, keyType, key);
+        } catch (err) {
+          node.entries.push({ key, label: `[${key}]`, error: `Invalid ${keyType.label} key: ${err.reason || err.message}` });
+          continue;
+        }
+        // A nested mapping only reads the entry named by the rest of this key path
+        const valueKeyPaths = rest.length > 0 ? [rest] : [];
+        node.entries.push({ key, ...await decodeNode(`[${key}]`, type.value, entrySlot, 0, valueKeyPaths) });
+      }
+      if (keyPaths.length === 0) {
+        node.note = `Mapping from ${keyType.label}; supply keys to read entries`;
+      }
+      return node;
+    }
+
+    if (type.encoding === 'dynamic_array') {
+      const length = ethers.BigNumber.from(await read(slot));
+      node.length = length.toString();
+      const count = length.gt(limit) ? limit : length.toNumber();
+      node.elements = await decodeElements(type.base, keccakSlot(toSlotHex(slot)), count, keyPaths);
+      if (length.gt(count)) {
+        node.note = `Showing the first ${count} of ${node.length} elements`;
+      }
+      return node;
+    }
+
+    if (type.encoding === 'bytes') {
+      return { ...node, ...await decodeBytes(type, slot) };
+    }
+
+    if (type.members) {
+      node.members = [];
+      for (const member of type.members) {
+        node.members.push(await decodeNode(member.label, member.type, slot + BigInt(member.slot), member.offset, keyPaths));
+      }
+      return node;
+    }
+
+    if (type.base) {
+      const count = Number((type.label.match(/\[(\d+)\]$/) || [])[1] || 0);
+      node.length = String(count);
+      node.elements = await decodeElements(type.base, slot, Math.min(count, limit), keyPaths);
+      if (count > limit) {
+        node.note = `Showing the first ${limit} of ${count} elements`;
+      }
+      return node;
+    }
+
+    node.value = decodeValue(await read(slot), offset, Number(type.numberOfBytes), type.label);
+    return node;
+  }
+
+  const variables = [];
+  for (const variable of layout.storage) {
+    const keyPaths = Array.isArray(keys[variable.label]) ? keys[variable.label] : [];
+    variables.push(await decodeNode(variable.label, variable.type, BigInt(variable.slot), variable.offset, keyPaths));
+  }
+  return variables;
+}
+
+module.exports = { decodeStorage, DEFAULT_ARRAY_LIMIT, MAX_ARRAY_LIMIT };
@@ -11,7 +11,13 @@ module.exports = {
             enabled: true,
             runs: 200,
           },
-          viaIR: true
+          viaIR: true,
+          // Read by the storage inspector; Hardhat adds the outputs it needs itself
+          outputSelection: {
+            "*": {
+              "*": ["storageLayout"]
+            }
+          }
         },
       },
     ],
@@ -81,12 +81,84 @@ async function updateHistoryCount() {
   }
 }
 
+function renderCheckpoints(checkpoints) {
+  const list = document.getElementById("checkpointList");
+  if (!list) return;
+  list.innerHTML = "";
+  if (checkpoints.length === 0) {
+    list.textContent = "No checkpoints yet.";
+    return;
+  }
+  // Newest first, like the order you would usually go back in
+  [...checkpoints].reverse().forEach(checkpoint => {
+    const row = document.createElement("div");
+    row.classList.add("checkpoint");
+    const label = document.createElement("span");
+    label.textContent = `${checkpoint.name}: ${checkpoint.historyLength} attack(s), score ${checkpoint.score} ETH (${new Date(checkpoint.createdAt).toLocaleTimeString()})`;
+    row.appendChild(label);
+
+    const revertButton = document.createElement("button");
+    revertButton.textContent = "Revert";
+    revertButton.addEventListener("click", async () => {
+      if (!confirm(`Revert to checkpoint '${checkpoint.name}'? Attacks submitted after it are removed from your history.`)) return;
+      revertButton.disabled = true;
+      try {
+        const response = await fetch(`/checkpoints/${encodeURIComponent(checkpoint.name)}/revert`, { method: "POST" });
+        const data = await response.json();
+        if (data.error) {
+          alert(`Failed to revert to checkpoint: ${data.error}`);
+        }
+        await refreshAllUIElements();
+      } catch (error) {
+        console.error("Error reverting to checkpoint:", error);
+        alert("An error occurred while reverting to the checkpoint.");
+        revertButton.disabled = false;
+      }
+    });
+    row.appendChild(revertButton);
+
+    const deleteButton = document.createElement("button");
+    deleteButton.textContent = "Delete";
+    deleteButton.addEventListener("click", async () => {
+      const response = await fetch(`/checkpoints/${encodeURIComponent(checkpoint.name)}`, { method: "DELETE" });
+      const data = await response.json();
+      renderCheckpoints(data.checkpoints || []);
+    });
+    row.appendChild(deleteButton);
+    list.appendChild(row);
+  });
+}
+
+async function updateCheckpoints() {
+  try {
+    const response = await fetch('/checkpoints');
+    const data = await response.json();
+    renderCheckpoints(data.checkpoints || []);
+  } catch (error) {
+    console.error('Error fetching checkpoints:', error);
+  }
+}
+
+async function updateUndoButton() {
+  const button = document.getElementById("undoSubmission");
+  if (!button) return;
+  try {
+    const response = await fetch('/undo');
+    const data = await response.json();
+    button.disabled = !data.available;
+  } catch (error) {
+    console.error('Error checking undo availability:', error);
+  }
+}
+
 // Function to refresh all UI elements without page reload
 async function refreshAllUIElements() {
   try {
     // Update balance and history
     await updateUserBalance();
     await updateHistoryCount();
+    await updateCheckpoints();
+    await updateUndoButton();
     await fetchReferenceTime();
     await updateContractAddresses();
     
@@ -144,6 +216,8 @@ async function refreshAllUIElements() {
 fetchReferenceTime();
 updateUserBalance();
 updateHistoryCount();
+updateCheckpoints();
+updateUndoButton();
 
 function formatRelativeTime(timestamp) {
   if (referenceTime === null) {
@@ -306,6 +380,589 @@ async function updateLotteryChallenges() {
   }
 }
 
+// Contracts and view functions for the Read Contract and Storage panels, loaded once
+let readContracts = null;
+
+async function fetchReadContracts() {
+  if (!readContracts) {
+    const response = await fetch("/read-contracts");
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    readContracts = data.contracts;
+  }
+  return readContracts;
+}
+
+async function loadReadContracts() {
+  const select = document.getElementById("readContractSelect");
+  if (select.options.length > 0) return;
+  try {
+    await fetchReadContracts();
+  } catch (error) {
+    console.error("Error loading readable contracts:", error);
+    document.getElementById("readContractFunctions").textContent = "Failed to load the contract list.";
+    return;
+  }
+  select.innerHTML = "";
+  readContracts.forEach(contract => {
+    const option = document.createElement("option");
+    option.value = contract.key;
+    option.textContent = `${contract.key} (${contract.contractName})`;
+    select.appendChild(option);
+  });
+  select.addEventListener("change", renderReadContractFunctions);
+  renderReadContractFunctions();
+}
+
+// Arguments are typed as text; JSON is parsed for arrays, structs and booleans, everything else is sent as a string
+function parseCallArgument(text, type) {
+  const value = text.trim();
+  if (type.endsWith("]") || type.startsWith("tuple") || type === "bool") {
+    return JSON.parse(value);
+  }
+  return value;
+}
+
+function formatCallResult(value) {
+  if (value !== null && typeof value === "object") {
+    return JSON.stringify(value, null, 2);
+  }
+  if (typeof value === "string" && /^-?\d+$/.test(value)) {
+    return formatWithCommas(value);
+  }
+  return String(value);
+}
+
+function renderReadContractFunctions() {
+  const key = document.getElementById("readContractSelect").value;
+  const contract = readContracts.find(candidate => candidate.key === key);
+  document.getElementById("readContractAddress").textContent = `${contract.contractName} at ${contract.address}`;
+  const container = document.getElementById("readContractFunctions");
+  container.innerHTML = "";
+
+  contract.functions.forEach(fn => {
+    const row = document.createElement("details");
+    row.classList.add("read-function");
+    const summary = document.createElement("summary");
+    const outputs = fn.outputs.map(output => output.type).join(", ");
+    summary.textContent = `${fn.signature}${outputs ? ` → ${outputs}` : ""}`;
+    row.appendChild(summary);
+
+    const inputs = fn.inputs.map((input, index) => {
+      const field = document.createElement("input");
+      field.type = "text";
+      field.placeholder = `${input.name || `arg${index}`} (${input.type})`;
+      row.appendChild(field);
+      return field;
+    });
+
+    const queryButton = document.createElement("button");
+    queryButton.textContent = "Query";
+    row.appendChild(queryButton);
+    const result = document.createElement("pre");
+    result.classList.add("read-function-result");
+    row.appendChild(result);
+
+    queryButton.addEventListener("click", async () => {
+      let args;
+      try {
+        args = fn.inputs.map((input, index) => parseCallArgument(inputs[index].value, input.type));
+      } catch (error) {
+        result.textContent = `Invalid argument: ${error.message}`;
+        return;
+      }
+      result.textContent = "Calling...";
+      try {
+        const response = await fetch("/call", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ contract: contract.key, function: fn.signature, args })
+        });
+        const data = await response.json();
+        if (data.error) {
+          result.textContent = data.error;
+          return;
+        }
+        const lines = fn.outputs.map((output, index) => {
+          const name = output.name || String(index);
+          return `${name} (${output.type}): ${formatCallResult(data.formatted[name])}`;
+        });
+        result.textContent = lines.length > 0 ? lines.join("\n") : "(no return value)";
+      } catch (error) {
+        result.textContent = "Error calling contract: " + error.message;
+      }
+    });
+    container.appendChild(row);
+  });
+}
+
+// Value "other" of the Storage panel's contract list: any address, e.g. an AuctionToken, with its contract name
+const OTHER_STORAGE_CONTRACT = "other";
+
+async function loadStorageContracts() {
+  const select = document.getElementById("storageContractSelect");
+  if (select.options.length > 0) return;
+  try {
+    await fetchReadContracts();
+  } catch (error) {
+    console.error("Error loading contracts:", error);
+    document.getElementById("storageResult").textContent = "Failed to load the contract list.";
+    return;
+  }
+  readContracts.forEach(contract => {
+    const option = document.createElement("option");
+    option.value = contract.key;
+    option.textContent = `${contract.key} (${contract.contractName})`;
+    select.appendChild(option);
+  });
+  const other = document.createElement("option");
+  other.value = OTHER_STORAGE_CONTRACT;
+  other.textContent = "Other address...";
+  select.appendChild(other);
+  const toggleOtherAddress = () => {
+    document.querySelectorAll(".storage-other-address").forEach(label => {
+      label.style.display = select.value === OTHER_STORAGE_CONTRACT ? "" : "none";
+    });
+  };
+  select.addEventListener("change", toggleOtherAddress);
+  toggleOtherAddress();
+}
+
+// Small slots are shown as numbers, hashed ones (mapping entries, array data) abbreviated; the full slot is in the tooltip
+function formatStorageSlot(slot) {
+  const value = BigInt(slot);
+  return value < 2n ** 32n ? String(value) : `${slot.slice(0, 10)}…${slot.slice(-4)}`;
+}
+
+function describeStorageValue(node) {
+  if (node.error) return node.error;
+  let text = typeof node.value === "string" && /^-?\d+$/.test(node.value) ? formatWithCommas(node.value) : String(node.value);
+  if (node.type === "string") text = JSON.stringify(node.value);
+  if (node.name) text += ` (${node.name})`;
+  if (node.truncated) text += ` … (${node.length} bytes)`;
+  return text;
+}
+
+// Variables with members, elements or entries become collapsible; plain values are one line each
+function createStorageNode(node) {
+  const heading = `${node.label}${node.type ? ` (${node.type})` : ""}`;
+  const location = node.slot ? `slot ${formatStorageSlot(node.slot)}${node.offset ? `, offset ${node.offset}` : ""}` : "";
+  const children = node.members || node.elements || node.entries;
+
+  if (!children) {
+    const line = document.createElement("div");
+    line.classList.add("storage-value");
+    const name = document.createElement("span");
+    name.textContent = `${heading}: `;
+    const value = document.createElement("span");
+    value.classList.add(node.error ? "storage-error" : "storage-data");
+    value.textContent = describeStorageValue(node);
+    line.appendChild(name);
+    line.appendChild(value);
+    if (location) {
+      const slot = document.createElement("span");
+      slot.classList.add("storage-slot");
+      slot.textContent = location;
+      slot.title = node.slot;
+      line.appendChild(slot);
+    }
+    return line;
+  }
+
+  const details = document.createElement("details");
+  details.classList.add("storage-node");
+  const summary = document.createElement("summary");
+  summary.textContent = node.length !== undefined ? `${heading}, length ${node.length}` : heading;
+  const slot = document.createElement("span");
+  slot.classList.add("storage-slot");
+  slot.textContent = location;
+  slot.title = node.slot;
+  summary.appendChild(slot);
+  details.appendChild(summary);
+  if (node.note) {
+    const note = document.createElement("p");
+    note.classList.add("storage-note");
+    note.textContent = node.note;
+    details.appendChild(note);
+  }
+  children.forEach(child => details.appendChild(createStorageNode(child)));
+  details.open = children.length > 0;
+  return details;
+}
+
+document.getElementById("readStorage").addEventListener("click", async () => {
+  const result = document.getElementById("storageResult");
+  const selected = document.getElementById("storageContractSelect").value;
+  const request = { arrayLimit: Number(document.getElementById("storageArrayLimit").value) };
+  if (selected === OTHER_STORAGE_CONTRACT) {
+    request.contract = document.getElementById("storageAddress").value.trim();
+    request.contractName = document.getElementById("storageContractName").value.trim();
+  } else {
+    request.contract = selected;
+  }
+  const keysText = document.getElementById("storageKeys").value.trim();
+  try {
+    request.keys = keysText ? JSON.parse(keysText) : {};
+  } catch (error) {
+    result.textContent = `Invalid mapping keys: ${error.message}`;
+    return;
+  }
+
+  result.textContent = "Reading storage...";
+  try {
+    const response = await fetch("/storage", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(request)
+    });
+    const data = await response.json();
+    if (data.error) {
+      result.textContent = data.error;
+      return;
+    }
+    result.innerHTML = "";
+    const address = document.createElement("p");
+    address.classList.add("read-contract-address");
+    address.textContent = `${data.contractName} at ${data.address}`;
+    result.appendChild(address);
+    if (data.variables.length === 0) {
+      result.appendChild(document.createTextNode("This contract has no state variables."));
+    }
+    data.variables.forEach(variable => result.appendChild(createStorageNode(variable)));
+  } catch (error) {
+    result.textContent = "Error reading storage: " + error.message;
+  }
+});
+
+// Filters of the last event search, kept to fetch further pages with "Load More"
+let eventsQuery = null;
+
+// Fills the contract filter on first use; every visit runs the search again, to include new attacks
+async function loadEventContracts() {
+  const select = document.getElementById("eventsContract");
+  if (select.options.length > 1) return searchEvents();
+  try {
+    await fetchReadContracts();
+  } catch (error) {
+    console.error("Error loading contracts:", error);
+    return searchEvents();
+  }
+  const seenLists = new Set();
+  readContracts.forEach(contract => {
+    // Lists such as lendingManagers[0], lendingManagers[1] can also be searched as a whole
+    const listKey = contract.key.replace(/\[\d+\]$/, "");
+    if (listKey !== contract.key && !seenLists.has(listKey)) {
+      seenLists.add(listKey);
+      const listOption = document.createElement("option");
+      listOption.value = listKey;
+      listOption.textContent = `${listKey} (all)`;
+      select.appendChild(listOption);
+    }
+    const option = document.createElement("option");
+    option.value = contract.key;
+    option.textContent = `${contract.key} (${contract.contractName})`;
+    select.appendChild(option);
+  });
+  searchEvents();
+}
+
+function createEventRow(entry) {
+  const row = document.createElement("tr");
+  if (entry.phase === "setup") row.classList.add("event-setup");
+
+  const block = document.createElement("td");
+  block.textContent = entry.blockNumber;
+  block.title = new Date(entry.timestamp * 1000).toISOString();
+  const contract = document.createElement("td");
+  contract.textContent = entry.contract;
+  contract.title = entry.address;
+  const event = document.createElement("td");
+  event.textContent = entry.event || "Unknown";
+  event.title = entry.signature || entry.topics[0];
+  const args = document.createElement("td");
+  args.classList.add("event-args");
+  args.textContent = entry.event
+    ? Object.entries(entry.formatted).map(([name, value]) => `${name}: ${formatCallResult(value)}`).join("\n")
+    : `topics: ${entry.topics.join(", ")}\ndata: ${entry.data}`;
+  const transaction = document.createElement("td");
+  transaction.classList.add("event-transaction");
+  transaction.textContent = `${entry.transactionHash.slice(0, 10)}…`;
+  transaction.title = entry.transactionHash;
+
+  [block, contract, event, args, transaction].forEach(cell => row.appendChild(cell));
+  return row;
+}
+
+// Fetches the next page of the current search, or starts a new search from the filter fields
+async function searchEvents(loadMore = false) {
+  const tableBody = document.getElementById("eventsTableBody");
+  const summary = document.getElementById("eventsSummary");
+  const loadMoreButton = document.getElementById("loadMoreEvents");
+  if (!loadMore) {
+    eventsQuery = new URLSearchParams();
+    [["contract", "eventsContract"], ["event", "eventsName"], ["from", "eventsFrom"], ["to", "eventsTo"], ["address", "eventsAddress"]]
+      .forEach(([name, id]) => {
+        const value = document.getElementById(id).value.trim();
+        if (value) eventsQuery.set(name, value);
+      });
+    eventsQuery.set("offset", "0");
+    tableBody.innerHTML = "";
+  }
+
+  summary.textContent = "Loading events...";
+  try {
+    const response = await fetch(`/events?${eventsQuery}`);
+    const data = await response.json();
+    if (data.error) {
+      summary.textContent = data.error;
+      loadMoreButton.style.display = "none";
+      return;
+    }
+    data.events.forEach(entry => tableBody.appendChild(createEventRow(entry)));
+
+    const nameList = document.getElementById("eventsNameList");
+    nameList.innerHTML = "";
+    data.eventNames.forEach(name => {
+      const option = document.createElement("option");
+      option.value = name;
+      nameList.appendChild(option);
+    });
+
+    const shown = data.offset + data.events.length;
+    eventsQuery.set("offset", String(shown));
+    summary.textContent = `Showing ${shown} of ${data.total} events. Blocks up to ${data.setupBlock} are the setup, your attacks start after it (latest block: ${data.latestBlock}).`;
+    loadMoreButton.style.display = shown < data.total ? "" : "none";
+  } catch (error) {
+    summary.textContent = "Error loading events: " + error.message;
+  }
+}
+
+document.getElementById("searchEvents").addEventListener("click", () => searchEvents());
+document.getElementById("loadMoreEvents").addEventListener("click", () => searchEvents(true));
+
+// Lowest block shown by the explorer, the next page starts below it
+let explorerOldestBlock = null;
+
+// "approve" or "Attack", the selector for unknown functions, "deploy Weth" for contract creations
+function describeExplorerCall(tx) {
+  if (!tx.to) {
+    return `deploy ${tx.contractAddressName || tx.contract || "contract"}`;
+  }
+  if (tx.function) return tx.function.split("(")[0];
+  return tx.selector || "transfer";
+}
+
+function createExplorerTransactionRow(tx) {
+  const row = document.createElement("tr");
+  if (tx.status !== "success") row.classList.add("explorer-reverted");
+
+  const hash = document.createElement("td");
+  const link = document.createElement("a");
+  link.href = "#";
+  link.textContent = `${tx.hash.slice(0, 10)}…`;
+  link.title = tx.hash;
+  link.addEventListener("click", (event) => {
+    event.preventDefault();
+    showExplorerTransaction(tx.hash);
+  });
+  hash.appendChild(link);
+
+  const cells = [
+    hash,
+    [tx.fromName, tx.from],
+    [tx.to ? tx.toName : tx.contractAddressName, tx.to || tx.contractAddress],
+    [describeExplorerCall(tx), tx.function || ""],
+    [tx.status, ""],
+    [formatWithCommas(String(tx.gasUsed)), `${tx.costEth} ETH`],
+    [String(tx.eventCount), ""]
+  ];
+  cells.forEach(cell => {
+    if (Array.isArray(cell)) {
+      const td = document.createElement("td");
+      td.textContent = cell[0];
+      td.title = cell[1];
+      row.appendChild(td);
+    } else {
+      row.appendChild(cell);
+    }
+  });
+  return row;
+}
+
+function createExplorerBlock(block) {
+  const section = document.createElement("div");
+  section.classList.add("explorer-block");
+  const heading = document.createElement("h4");
+  const phase = block.phase === "setup" ? "setup" : "your attacks";
+  heading.textContent = `Block ${block.number} · ${new Date(block.timestamp * 1000).toISOString()} · ${phase} · ${formatWithCommas(String(block.gasUsed))} gas`;
+  heading.title = block.hash;
+  section.appendChild(heading);
+
+  if (block.transactions.length === 0) {
+    const empty = document.createElement("p");
+    empty.classList.add("explorer-empty");
+    empty.textContent = "No transactions";
+    section.appendChild(empty);
+    return section;
+  }
+
+  const table = document.createElement("table");
+  table.classList.add("explorer-table");
+  const head = document.createElement("tr");
+  ["Transaction", "From", "To", "Call", "Status", "Gas", "Events"].forEach(title => {
+    const th = document.createElement("th");
+    th.textContent = title;
+    head.appendChild(th);
+  });
+  table.appendChild(head);
+  block.transactions.forEach(tx => table.appendChild(createExplorerTransactionRow(tx)));
+  section.appendChild(table);
+  return section;
+}
+
+// Loads the newest blocks, or with `older` the page below the oldest block shown
+async function loadExplorerBlocks(older = false) {
+  const container = document.getElementById("explorerBlocks");
+  const olderButton = document.getElementById("explorerOlderBlocks");
+  document.getElementById("explorerTransaction").style.display = "none";
+  container.style.display = "";
+  if (!older) {
+    container.textContent = "Loading blocks...";
+    explorerOldestBlock = null;
+  }
+
+  try {
+    const query = older ? `?before=${explorerOldestBlock}` : "";
+    const response = await fetch(`/explorer/blocks${query}`);
+    const data = await response.json();
+    if (data.error) {
+      container.textContent = data.error;
+      return;
+    }
+    if (!older) container.innerHTML = "";
+    data.blocks.forEach(block => container.appendChild(createExplorerBlock(block)));
+    if (data.blocks.length > 0) {
+      explorerOldestBlock = data.blocks[data.blocks.length - 1].number;
+    }
+    olderButton.style.display = explorerOldestBlock > 0 ? "" : "none";
+  } catch (error) {
+    container.textContent = "Error loading blocks: " + error.message;
+  }
+}
+
+async function showExplorerTransaction(hash) {
+  const detail = document.getElementById("explorerTransaction");
+  document.getElementById("explorerBlocks").style.display = "none";
+  document.getElementById("explorerOlderBlocks").style.display = "none";
+  detail.style.display = "";
+  detail.textContent = "Loading transaction...";
+
+  let tx;
+  try {
+    const response = await fetch(`/explorer/tx/${encodeURIComponent(hash)}`);
+    tx = await response.json();
+  } catch (error) {
+    detail.textContent = "Error loading transaction: " + error.message;
+    return;
+  }
+  detail.innerHTML = "";
+
+  const back = document.createElement("button");
+  back.textContent = "Back to Blocks";
+  back.addEventListener("click", () => loadExplorerBlocks());
+  detail.appendChild(back);
+  if (tx.error) {
+    const message = document.createElement("p");
+    message.textContent = tx.error;
+    detail.appendChild(message);
+    return;
+  }
+
+  const heading = document.createElement("h3");
+  heading.textContent = `Transaction ${tx.hash}`;
+  detail.appendChild(heading);
+
+  const info = document.createElement("ul");
+  info.classList.add("call-info");
+  const addInfo = (label, value) => {
+    const item = document.createElement("li");
+    item.textContent = `${label}: ${value}`;
+    info.appendChild(item);
+  };
+  addInfo("status", tx.status);
+  addInfo("block", `${tx.blockNumber} (${tx.phase}, ${new Date(tx.timestamp * 1000).toISOString()})`);
+  addInfo("from", `${tx.fromName} (${tx.from})`);
+  if (tx.to) {
+    addInfo("to", `${tx.toName} (${tx.to})`);
+  } else {
+    addInfo("created", `${tx.contractAddressName} (${tx.contractAddress})`);
+  }
+  if (tx.value !== "0") addInfo("value", `${tx.value} wei`);
+  addInfo("nonce", tx.nonce);
+  addInfo("gas", `${formatWithCommas(String(tx.gasUsed))} of ${formatWithCommas(tx.gasLimit)} at ${tx.gasPriceGwei} gwei (${tx.costEth} ETH)`);
+  if (tx.contract) addInfo("decoded with", tx.contract);
+  if (tx.function) addInfo("function", tx.function);
+  if (tx.args) {
+    Object.entries(tx.args).forEach(([name, value]) => addInfo(`  ${name}`, formatCallValue(value)));
+  } else if (tx.input !== "0x" && tx.to) {
+    addInfo("input", tx.input);
+  }
+  detail.appendChild(info);
+
+  const eventsHeading = document.createElement("h4");
+  eventsHeading.textContent = `Events (${tx.events.length})`;
+  detail.appendChild(eventsHeading);
+  if (tx.events.length > 0) {
+    const table = document.createElement("table");
+    table.classList.add("events-table");
+    tx.events.forEach(entry => {
+      const row = document.createElement("tr");
+      const contract = document.createElement("td");
+      contract.textContent = entry.contract;
+      contract.title = entry.address;
+      const event = document.createElement("td");
+      event.textContent = entry.event || "Unknown";
+      event.title = entry.signature || entry.topics[0];
+      const args = document.createElement("td");
+      args.classList.add("event-args");
+      args.textContent = entry.event
+        ? Object.entries(entry.formatted).map(([name, value]) => `${name}: ${formatCallResult(value)}`).join("\n")
+        : `topics: ${entry.topics.join(", ")}\ndata: ${entry.data}`;
+      [contract, event, args].forEach(cell => row.appendChild(cell));
+      table.appendChild(row);
+    });
+    detail.appendChild(table);
+  }
+
+  // The trace is replayed by the node on request, so it is only fetched when asked for
+  const traceContainer = document.createElement("div");
+  const traceLink = document.createElement("a");
+  traceLink.href = tx.traceUrl;
+  traceLink.textContent = "Show call trace";
+  traceLink.addEventListener("click", async (event) => {
+    event.preventDefault();
+    traceLink.remove();
+    traceContainer.textContent = "Tracing...";
+    try {
+      const response = await fetch(tx.traceUrl);
+      const data = await response.json();
+      traceContainer.innerHTML = "";
+      displayCallTrace(traceContainer, data.callTrace, data.error);
+    } catch (error) {
+      traceContainer.textContent = "Error loading the call trace: " + error.message;
+    }
+  });
+  detail.appendChild(traceLink);
+  detail.appendChild(traceContainer);
+}
+
+document.getElementById("explorerRefresh").addEventListener("click", () => loadExplorerBlocks());
+document.getElementById("explorerOlderBlocks").addEventListener("click", () => loadExplorerBlocks(true));
+document.getElementById("explorerOpenTx").addEventListener("click", () => {
+  const hash = document.getElementById("explorerTxHash").value.trim();
+  if (hash) showExplorerTransaction(hash);
+});
+
 function setActiveFilterButton(button) {
   // Remove active class from all filter buttons
   document.querySelectorAll(".challenge-filter-btn").forEach(btn => {
@@ -1371,6 +2028,8 @@ function switchTab(tabName) {
     updateContractAddresses();
   } else if (tabName === "exchange") {
     updatePools();
+  } else if (tabName === "explorer") {
+    loadExplorerBlocks();
   }
 }
 
@@ -1413,6 +2072,12 @@ document.querySelectorAll(".sub-tab").forEach(subTab => {
     } else if (subTabName === "community-insurance") {
       updateCommunityInsurance();
       // Remove all loadContractSource calls
+    } else if (subTabName === "read-contract") {
+      loadReadContracts();
+    } else if (subTabName === "storage") {
+      loadStorageContracts();
+    } else if (subTabName === "events") {
+      loadEventContracts();
     }
   });
 });
@@ -1530,9 +2195,312 @@ function displayEventFiltersAndResults(resultElem, parsedEvents) {
 }
 
 
+function formatCallValue(value) {
+  return typeof value === "object" && value !== null ? JSON.stringify(value) : String(value);
+}
+
+function createCallFrameElement(frame, depth) {
+  const details = document.createElement("details");
+  details.classList.add("call-frame");
+  if (!frame.success) details.classList.add("call-frame-reverted");
+  // Expand the first two levels so the attack's own calls are visible straight away
+  details.open = depth < 2;
+
+  const summary = document.createElement("summary");
+  const type = document.createElement("span");
+  type.classList.add("call-type");
+  type.textContent = frame.type;
+  summary.appendChild(type);
+
+  const target = frame.contextName && frame.type === "DELEGATECALL"
+    ? `${frame.contextName} → ${frame.toName}`
+    : frame.toName;
+  let fnName;
+  if (frame.function) {
+    fnName = frame.function.split("(")[0];
+  } else if (frame.input && frame.input.length >= 10) {
+    fnName = frame.input.slice(0, 10);
+  } else {
+    fnName = "";
+  }
+  const call = document.createElement("span");
+  call.textContent = ` ${target}${fnName ? "." + fnName : ""}`;
+  summary.appendChild(call);
+
+  const gas = document.createElement("span");
+  gas.classList.add("call-gas");
+  gas.textContent = ` ${formatWithCommas(String(frame.gasUsed))} gas`;
+  summary.appendChild(gas);
+
+  if (!frame.success) {
+    const reverted = document.createElement("span");
+    reverted.classList.add("call-reverted-label");
+    reverted.textContent = " reverted";
+    summary.appendChild(reverted);
+  }
+  details.appendChild(summary);
+
+  const info = document.createElement("ul");
+  info.classList.add("call-info");
+  const addInfo = (label, value) => {
+    const item = document.createElement("li");
+    item.textContent = `${label}: ${value}`;
+    info.appendChild(item);
+  };
+  addInfo("from", frame.fromName);
+  if (frame.contract) addInfo("decoded with", frame.contract);
+  if (frame.function) addInfo("function", frame.function);
+  if (frame.value && frame.value !== "0") addInfo("value", `${frame.value} wei`);
+  if (frame.args) {
+    Object.entries(frame.args).forEach(([name, value]) => addInfo(`  ${name}`, formatCallValue(value)));
+  } else if (frame.input && frame.input !== "0x") {
+    addInfo("input", frame.input);
+  }
+  if (frame.returns) {
+    Object.entries(frame.returns).forEach(([name, value]) => addInfo(`  returns ${name}`, formatCallValue(value)));
+  } else if (frame.output && frame.output !== "0x" && frame.success) {
+    addInfo("output", frame.output);
+  }
+  if (!frame.success) {
+    addInfo("revert", frame.revertReason || frame.output || "no data");
+  }
+  details.appendChild(info);
+
+  frame.calls.forEach(child => details.appendChild(createCallFrameElement(child, depth + 1)));
+  return details;
+}
+
+function displayCallTrace(container, callTrace, callTraceError) {
+  const header = document.createElement("h4");
+  header.textContent = "Call Trace";
+  container.appendChild(header);
+
+  if (!callTrace) {
+    const message = document.createElement("p");
+    message.textContent = callTraceError ? `Call trace unavailable: ${callTraceError}` : "Call trace unavailable.";
+    container.appendChild(message);
+    return;
+  }
+
+  const tree = document.createElement("div");
+  tree.classList.add("call-trace");
+  tree.appendChild(createCallFrameElement(callTrace, 0));
+  container.appendChild(tree);
+}
+
+function createConsoleSection(consoleLogs) {
+  const consoleSection = document.createElement("div");
+  consoleSection.style.marginTop = "1rem";
+  consoleSection.style.padding = "1rem";
+  consoleSection.style.backgroundColor = "#1e1e1e";
+  consoleSection.style.borderRadius = "5px";
+  consoleSection.style.border = "1px solid #444";
+
+  const consoleHeader = document.createElement("h4");
+  consoleHeader.textContent = "Console Output";
+  consoleHeader.style.marginTop = "0";
+  consoleHeader.style.color = "#00ff00";
+  consoleSection.appendChild(consoleHeader);
+
+  const consolePre = document.createElement("pre");
+  consolePre.style.margin = "0";
+  consolePre.style.whiteSpace = "pre-wrap";
+  consolePre.style.color = "#00ff00";
+  consolePre.style.fontFamily = "monospace";
+  consolePre.textContent = consoleLogs.join("\n");
+  consoleSection.appendChild(consolePre);
+
+  return consoleSection;
+}
+
+function formatSignedDelta(delta) {
+  const text = formatWithCommas(String(delta));
+  return text.startsWith("-") ? text : `+${text}`;
+}
+
+function isZeroDelta(delta) {
+  return Number(delta) === 0;
+}
+
+// Per-address token changes of an attack. Unchanged addresses are hidden until "Show all" is ticked.
+function createBalanceChangesTable(balanceChanges) {
+  const container = document.createElement("div");
+  container.classList.add("protocol-table", "balance-changes");
+
+  const header = document.createElement("h4");
+  header.textContent = "Balance Changes";
+  container.appendChild(header);
+
+  const toggleLabel = document.createElement("label");
+  const toggle = document.createElement("input");
+  toggle.type = "checkbox";
+  toggleLabel.appendChild(toggle);
+  toggleLabel.appendChild(document.createTextNode(` Show all ${balanceChanges.length} addresses`));
+  container.appendChild(toggleLabel);
+
+  const table = document.createElement("table");
+  table.classList.add("balance-delta-table");
+  table.innerHTML = "<thead><tr><th>Address</th><th>ETH</th><th>WETH</th><th>USDC</th><th>NISC</th><th>Worth (ETH)</th></tr></thead>";
+  const tbody = document.createElement("tbody");
+
+  const addDeltaCell = (row, { before, after, delta }) => {
+    const cell = document.createElement("td");
+    cell.textContent = isZeroDelta(delta) ? "–" : formatSignedDelta(delta);
+    cell.title = `${formatWithCommas(String(before))} → ${formatWithCommas(String(after))}`;
+    if (!isZeroDelta(delta)) cell.classList.add(String(delta).startsWith("-") ? "delta-negative" : "delta-positive");
+    row.appendChild(cell);
+  };
+
+  balanceChanges.forEach(entry => {
+    const row = document.createElement("tr");
+    if (!entry.changed) row.classList.add("balance-unchanged");
+
+    const nameCell = document.createElement("td");
+    nameCell.textContent = entry.name;
+    nameCell.title = entry.address;
+    row.appendChild(nameCell);
+
+    ["eth", "weth", "usdc", "nisc", "worthInEth"].forEach(key => addDeltaCell(row, entry[key]));
+    tbody.appendChild(row);
+  });
+  table.appendChild(tbody);
+  container.appendChild(table);
+
+  const updateVisibility = () => container.classList.toggle("show-unchanged", toggle.checked);
+  toggle.addEventListener("change", updateVisibility);
+  updateVisibility();
+
+  return container;
+}
+
+// Gas of each transaction, the total since the last revert and, when available, the self gas of each callee
+function createGasSection(gas) {
+  const container = document.createElement("div");
+  container.classList.add("protocol-table", "gas-report");
+
+  const header = document.createElement("h4");
+  header.textContent = "Gas";
+  container.appendChild(header);
+
+  const addRow = (tbody, cells, className) => {
+    const row = document.createElement("tr");
+    if (className) row.classList.add(className);
+    cells.forEach(text => {
+      const cell = document.createElement("td");
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    tbody.appendChild(row);
+  };
+
+  const table = document.createElement("table");
+  table.innerHTML = "<thead><tr><th>Transaction</th><th>Gas Used</th><th>Cost (ETH)</th></tr></thead>";
+  const tbody = document.createElement("tbody");
+  gas.transactions.forEach(tx => addRow(tbody, [tx.label, formatWithCommas(String(tx.gasUsed)), tx.costEth]));
+  addRow(tbody, ["Total", formatWithCommas(String(gas.totalGasUsed)), gas.totalCostEth], "gas-total");
+  table.appendChild(tbody);
+  container.appendChild(table);
+
+  const impact = document.createElement("p");
+  impact.textContent = `Score impact of this submission: ${gas.scoreImpact} ETH. ` +
+    `Since the last revert: ${formatWithCommas(String(gas.history.gasUsed))} gas, ${gas.history.scoreImpact} ETH.`;
+  container.appendChild(impact);
+
+  if (gas.byCallee && gas.byCallee.length > 0) {
+    const details = document.createElement("details");
+    const summary = document.createElement("summary");
+    summary.textContent = "Gas by callee (self gas, excluding sub-calls)";
+    details.appendChild(summary);
+
+    const calleeTable = document.createElement("table");
+    calleeTable.innerHTML = "<thead><tr><th>Callee / Function</th><th>Calls</th><th>Self Gas</th></tr></thead>";
+    const calleeBody = document.createElement("tbody");
+    gas.byCallee.forEach(callee => {
+      addRow(calleeBody, [callee.callee, callee.calls, formatWithCommas(String(callee.selfGas))], "gas-callee");
+      callee.functions.forEach(fn => {
+        addRow(calleeBody, [fn.function, fn.calls, formatWithCommas(String(fn.selfGas))], "gas-function");
+      });
+    });
+    calleeTable.appendChild(calleeBody);
+    details.appendChild(calleeTable);
+    container.appendChild(details);
+  }
+
+  return container;
+}
+
+// Decoded revert of a failed attack: error name, arguments, panic meaning and the contract that raised it
+function createRevertSection(revert) {
+  const container = document.createElement("div");
+  container.classList.add("protocol-table", "revert-details");
+
+  const header = document.createElement("h4");
+  header.textContent = "Revert Details";
+  container.appendChild(header);
+
+  const list = document.createElement("ul");
+  const addItem = (label, value) => {
+    const item = document.createElement("li");
+    item.textContent = `${label}: ${value}`;
+    list.appendChild(item);
+  };
+
+  if (revert.revertedIn) {
+    const { name, contract, function: fn } = revert.revertedIn;
+    // Known addresses already carry a name; otherwise show which ABI the call was decoded with
+    const label = name.startsWith("0x") && contract ? `${name} (${contract})` : name;
+    addItem("Reverted in", `${label}${fn ? ` → ${fn}` : ""}`);
+  }
+  if (revert.name) {
+    addItem("Error", revert.signature);
+    if (revert.declaredIn) addItem("Declared in", revert.declaredIn);
+    if (revert.panicCode) addItem("Panic", `${revert.panicCode} (${revert.panicMeaning})`);
+    Object.entries(revert.args).forEach(([name, value]) => addItem(`  ${name}`, formatCallValue(value)));
+  } else {
+    addItem("Unknown error selector", revert.selector);
+    addItem("Data", revert.data);
+  }
+  container.appendChild(list);
+  return container;
+}
+
+// Compiler errors and warnings; clicking one jumps to its location in the editor
+function createCompilerMessagesSection(compilerMessages) {
+  const container = document.createElement("div");
+  container.classList.add("protocol-table", "compiler-messages");
+
+  const errorCount = compilerMessages.filter(m => m.severity === "error").length;
+  const header = document.createElement("h4");
+  header.textContent = errorCount > 0
+    ? `Compiler Errors (${errorCount})`
+    : `Compiler Warnings (${compilerMessages.length})`;
+  container.appendChild(header);
+
+  const list = document.createElement("ul");
+  compilerMessages.forEach(compilerMessage => {
+    const item = document.createElement("li");
+    item.classList.add(`compiler-${compilerMessage.severity}`);
+    const where = compilerMessage.file
+      ? `${compilerMessage.file}${compilerMessage.line ? `:${compilerMessage.line}:${compilerMessage.column}` : ""} `
+      : "";
+    item.textContent = `${where}${compilerMessage.type}: ${compilerMessage.message}`;
+    if (compilerMessage.line && attackFiles.has(compilerMessage.file)) {
+      item.classList.add("clickable");
+      item.addEventListener("click", () => {
+        openAttackFile(compilerMessage.file);
+        editor.setCursor({ line: compilerMessage.line - 1, ch: compilerMessage.column - 1 });
+        editor.scrollIntoView(null, 100);
+      });
+    }
+    list.appendChild(item);
+  });
+  container.appendChild(list);
+  return container;
+}
+
 // Modify the submit attack event listener
 document.getElementById("submitAttack").addEventListener("click", async () => {
-  const attackCode = editor.getValue();
+  const files = getAttackFiles();
   
   const resultElem = document.getElementById("submissionResult");
   resultElem.innerText = "Submitting attack...";
@@ -1540,79 +2508,73 @@ document.getElementById("submitAttack").addEventListener("click", async () => {
     const res = await fetch("/submit-attack", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      credentials: 'include', // Important for cookies
-      body: JSON.stringify({ code: attackCode, replayMode: false })
+      body: JSON.stringify({ files, ...getDeploymentOptions(), replayMode: false })
     });
     
     
     const data = await res.json();
+    markCompilerMessages(data.compilerMessages || []);
     if (data.error) {
       resultElem.innerText = data.error;
+      if (data.revert) {
+        resultElem.appendChild(createRevertSection(data.revert));
+      }
+      if (data.compilerMessages && data.compilerMessages.length > 0) {
+        resultElem.appendChild(createCompilerMessagesSection(data.compilerMessages));
+      }
       
       // Display console logs even on error
       if (data.consoleLogs && data.consoleLogs.length > 0) {
-        const consoleSection = document.createElement("div");
-        consoleSection.style.marginTop = "1rem";
-        consoleSection.style.padding = "1rem";
-        consoleSection.style.backgroundColor = "#1e1e1e";
-        consoleSection.style.borderRadius = "5px";
-        consoleSection.style.border = "1px solid #444";
-        
-        const consoleHeader = document.createElement("h4");
-        consoleHeader.textContent = "Console Output";
-        consoleHeader.style.marginTop = "0";
-        consoleHeader.style.color = "#00ff00";
-        consoleSection.appendChild(consoleHeader);
-        
-        const consolePre = document.createElement("pre");
-        consolePre.style.margin = "0";
-        consolePre.style.whiteSpace = "pre-wrap";
-        consolePre.style.color = "#00ff00";
-        consolePre.style.fontFamily = "monospace";
-        consolePre.textContent = data.consoleLogs.join("\n");
-        consoleSection.appendChild(consolePre);
-        
-        resultElem.appendChild(consoleSection);
+        resultElem.appendChild(createConsoleSection(data.consoleLogs));
+      }
+      // The deployment and approvals still cost gas
+      if (data.gas) {
+        resultElem.appendChild(createGasSection(data.gas));
       }
+      // A reverted attack still changed the chain and can be undone
+      await updateUndoButton();
     } else {
       resultElem.innerHTML = `<p>Attack executed! Your score: ${data.score} ETH</p>`;
+      if (data.compilerMessages && data.compilerMessages.length > 0) {
+        resultElem.appendChild(createCompilerMessagesSection(data.compilerMessages));
+      }
+      if (data.balanceChanges) {
+        resultElem.appendChild(createBalanceChangesTable(data.balanceChanges));
+      }
+      if (data.gas) {
+        resultElem.appendChild(createGasSection(data.gas));
+      }
       
       // Display console logs if available
       if (data.consoleLogs && data.consoleLogs.length > 0) {
-        const consoleSection = document.createElement("div");
-        consoleSection.style.marginTop = "1rem";
-        consoleSection.style.padding = "1rem";
-        consoleSection.style.backgroundColor = "#1e1e1e";
-        consoleSection.style.borderRadius = "5px";
-        consoleSection.style.border = "1px solid #444";
-        
-        const consoleHeader = document.createElement("h4");
-        consoleHeader.textContent = "Console Output";
-        consoleHeader.style.marginTop = "0";
-        consoleHeader.style.color = "#00ff00";
-        consoleSection.appendChild(consoleHeader);
-        
-        const consolePre = document.createElement("pre");
-        consolePre.style.margin = "0";
-        consolePre.style.whiteSpace = "pre-wrap";
-        consolePre.style.color = "#00ff00";
-        consolePre.style.fontFamily = "monospace";
-        consolePre.textContent = data.consoleLogs.join("\n");
-        consoleSection.appendChild(consolePre);
-        
-        resultElem.appendChild(consoleSection);
+        resultElem.appendChild(createConsoleSection(data.consoleLogs));
       }
       
+      // Events on the left, call trace on the right
+      const columns = document.createElement("div");
+      columns.classList.add("submission-columns");
+      const eventsColumn = document.createElement("div");
+      eventsColumn.classList.add("submission-column");
+      const traceColumn = document.createElement("div");
+      traceColumn.classList.add("submission-column");
+      columns.appendChild(eventsColumn);
+      columns.appendChild(traceColumn);
+      resultElem.appendChild(columns);
+
       if (data.events && data.events.length > 0) {
         const parsed = parseEvents(data.events);
-        displayEventFiltersAndResults(resultElem, parsed);
+        displayEventFiltersAndResults(eventsColumn, parsed);
       } else {
-        resultElem.innerHTML += "<p>No events emitted.</p>";
+        eventsColumn.innerHTML = "<p>No events emitted.</p>";
       }
+      displayCallTrace(traceColumn, data.callTrace, data.callTraceError);
+
       // Update the balance display after successful attack
       await updateUserBalance();
       // Update the history count badge
       await updateHistoryCount();
+      await updateCheckpoints();
+      await updateUndoButton();
     }
   } catch (err) {
     resultElem.innerText = "Error submitting attack.";
@@ -1620,6 +2582,476 @@ document.getElementById("submitAttack").addEventListener("click", async () => {
   }
 });
 
+// Simulate an attack without changing the chain or the history
+document.getElementById("compareReplays").addEventListener("click", async () => {
+  const leftFile = document.getElementById("compareLeftFile").files[0];
+  const rightFile = document.getElementById("compareRightFile").files[0];
+  if (!leftFile || !rightFile) {
+    alert("Please select two replay files");
+    return;
+  }
+  const resultElem = document.getElementById("compareResult");
+  resultElem.innerText = "Replaying both files...";
+  try {
+    const response = await fetch("/compare-replays", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        left: await leftFile.text(),
+        right: await rightFile.text(),
+        ignoreFingerprint: document.getElementById("replayIgnoreFingerprint").checked,
+        ignoreIntegrity: document.getElementById("replayIgnoreIntegrity").checked
+      })
+    });
+    const data = await response.json();
+    if (data.error) {
+      resultElem.innerText = data.error;
+      return;
+    }
+    renderReplayComparison(resultElem, data);
+  } catch (error) {
+    resultElem.innerText = "Error comparing replays: " + error.message;
+    console.error("Error comparing replays:", error);
+  }
+});
+
+document.getElementById("createCheckpoint").addEventListener("click", async () => {
+  const nameInput = document.getElementById("checkpointName");
+  try {
+    const response = await fetch("/checkpoints", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name: nameInput.value })
+    });
+    const data = await response.json();
+    if (data.error) {
+      alert(`Failed to save checkpoint: ${data.error}`);
+      return;
+    }
+    nameInput.value = "";
+    renderCheckpoints(data.checkpoints);
+  } catch (error) {
+    console.error("Error saving checkpoint:", error);
+    alert("An error occurred while saving the checkpoint.");
+  }
+});
+
+document.getElementById("undoSubmission").addEventListener("click", async () => {
+  if (!confirm("Undo your last submission? The chain returns to the state before it and the attack is removed from your history.")) return;
+  const button = document.getElementById("undoSubmission");
+  button.disabled = true;
+  try {
+    const response = await fetch("/undo", { method: "POST" });
+    const data = await response.json();
+    if (data.error) {
+      alert(`Failed to undo: ${data.error}`);
+    }
+    await refreshAllUIElements();
+  } catch (error) {
+    console.error("Error undoing last submission:", error);
+    alert("An error occurred while undoing the last submission.");
+  }
+});
+
+document.getElementById("simulateAttack").addEventListener("click", async () => {
+  const files = getAttackFiles();
+
+  const resultElem = document.getElementById("submissionResult");
+  resultElem.innerText = "Simulating attack...";
+  try {
+    const res = await fetch("/simulate-attack", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ files, ...getDeploymentOptions() })
+    });
+
+    const data = await res.json();
+    markCompilerMessages(data.compilerMessages || []);
+    if (data.error) {
+      resultElem.innerText = `Simulation failed (nothing was changed): ${data.error}`;
+      if (data.revert) {
+        resultElem.appendChild(createRevertSection(data.revert));
+      }
+      if (data.compilerMessages && data.compilerMessages.length > 0) {
+        resultElem.appendChild(createCompilerMessagesSection(data.compilerMessages));
+      }
+      if (data.consoleLogs && data.consoleLogs.length > 0) {
+        resultElem.appendChild(createConsoleSection(data.consoleLogs));
+      }
+      return;
+    }
+
+    const sign = data.scoreDelta >= 0 ? "+" : "";
+    resultElem.innerHTML = "";
+    const summary = document.createElement("p");
+    summary.textContent = `Simulated score: ${data.score} ETH (${sign}${data.scoreDelta} ETH). The chain and your history were left unchanged.`;
+    resultElem.appendChild(summary);
+    if (data.compilerMessages && data.compilerMessages.length > 0) {
+      resultElem.appendChild(createCompilerMessagesSection(data.compilerMessages));
+    }
+    resultElem.appendChild(createBalanceChangesTable(data.balanceChanges));
+    resultElem.appendChild(createGasSection(data.gas));
+
+    if (data.consoleLogs && data.consoleLogs.length > 0) {
+      resultElem.appendChild(createConsoleSection(data.consoleLogs));
+    }
+
+    if (data.events && data.events.length > 0) {
+      displayEventFiltersAndResults(resultElem, parseEvents(data.events));
+    } else {
+      const noEvents = document.createElement("p");
+      noEvents.textContent = "No events emitted.";
+      resultElem.appendChild(noEvents);
+    }
+  } catch (err) {
+    resultElem.innerText = "Error simulating attack.";
+    console.error("Error simulating attack:", err);
+  }
+});
+
+// One entry per replayed attack: score change, contract, gas, error, console logs and events.
+// Step details are rendered when a step is first opened, long replays carry many events.
+function createReplayTimeline(steps) {
+  const timeline = document.createElement("ol");
+  timeline.classList.add("replay-timeline");
+
+  steps.forEach(step => {
+    const item = document.createElement("li");
+    item.classList.add("replay-step", step.success ? "replay-step-success" : "replay-step-failed");
+
+    const details = document.createElement("details");
+    const summary = document.createElement("summary");
+    const delta = step.score - step.scoreBefore;
+    const sign = delta >= 0 ? "+" : "";
+    summary.textContent = `Attack ${step.index + 1}: ${step.contractName || "not deployed"} · ${step.score} ETH (${sign}${delta} ETH)`
+      + (step.success ? "" : step.rolledBack ? " · failed, rolled back" : " · failed");
+    details.appendChild(summary);
+
+    let rendered = false;
+    details.addEventListener("toggle", () => {
+      if (!details.open || rendered) return;
+      rendered = true;
+
+      const body = document.createElement("div");
+      body.classList.add("replay-step-body");
+      if (step.expectedScore !== undefined) {
+        const expected = document.createElement("p");
+        expected.textContent = `Recorded score: ${step.expectedScore} ETH`;
+        body.appendChild(expected);
+      }
+      if (step.contractAddress) {
+        const address = document.createElement("p");
+        address.textContent = `Contract: ${step.contractAddress}`;
+        body.appendChild(address);
+      }
+      if (step.error) {
+        const error = document.createElement("p");
+        error.classList.add("replay-step-error");
+        error.textContent = step.error;
+        body.appendChild(error);
+      }
+      if (step.revert) {
+        body.appendChild(createRevertSection(step.revert));
+      }
+      if (step.compilerMessages && step.compilerMessages.length > 0) {
+        body.appendChild(createCompilerMessagesSection(step.compilerMessages));
+      }
+      if (step.gas) {
+        body.appendChild(createGasSection(step.gas));
+      }
+      if (step.consoleLogs.length > 0) {
+        body.appendChild(createConsoleSection(step.consoleLogs));
+      }
+      if (step.events.length > 0) {
+        displayEventFiltersAndResults(body, parseEvents(step.events));
+      } else if (step.success) {
+        const noEvents = document.createElement("p");
+        noEvents.textContent = "No events emitted.";
+        body.appendChild(noEvents);
+      }
+      details.appendChild(body);
+    });
+
+    item.appendChild(details);
+    timeline.appendChild(item);
+  });
+
+  return timeline;
+}
+
+// Unchanged lines around a change that stay visible in a code diff; longer unchanged runs are collapsed
+const DIFF_CONTEXT_LINES = 3;
+
+function createCodeDiff(lines) {
+  const pre = document.createElement("pre");
+  pre.classList.add("code-diff");
+  const prefixes = { same: "  ", removed: "- ", added: "+ " };
+  const appendLine = (line) => {
+    const row = document.createElement("div");
+    row.classList.add(`code-diff-${line.type}`);
+    row.textContent = prefixes[line.type] + line.text;
+    pre.appendChild(row);
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    if (lines[i].type !== "same") {
+      appendLine(lines[i++]);
+      continue;
+    }
+    let end = i;
+    while (end < lines.length && lines[end].type === "same") end++;
+    const keepBefore = i === 0 ? 0 : DIFF_CONTEXT_LINES;
+    const keepAfter = end === lines.length ? 0 : DIFF_CONTEXT_LINES;
+    if (end - i > keepBefore + keepAfter + 1) {
+      lines.slice(i, i + keepBefore).forEach(appendLine);
+      const skipped = document.createElement("div");
+      skipped.classList.add("code-diff-skipped");
+      skipped.textContent = `… ${end - i - keepBefore - keepAfter} unchanged lines`;
+      pre.appendChild(skipped);
+      lines.slice(end - keepAfter, end).forEach(appendLine);
+    } else {
+      lines.slice(i, end).forEach(appendLine);
+    }
+    i = end;
+  }
+  return pre;
+}
+
+function describeComparedScore(side) {
+  if (!side) return "no attack";
+  if (!side.run) return "not run";
+  const sign = side.scoreChange >= 0 ? "+" : "";
+  return `${side.score} ETH (${sign}${side.scoreChange})` + (side.success ? "" : " failed");
+}
+
+// One column of a compared attack: outcome, events and balance changes of one file
+function createComparedSide(title, side) {
+  const column = document.createElement("div");
+  column.classList.add("compare-side");
+  const header = document.createElement("h4");
+  header.textContent = `${title}: ${describeComparedScore(side)}`;
+  column.appendChild(header);
+  if (!side || !side.run) return column;
+
+  if (side.contractName) {
+    const contract = document.createElement("p");
+    contract.textContent = `Contract: ${side.contractName}` + (side.gasUsed !== null ? `, ${side.gasUsed} gas` : "");
+    column.appendChild(contract);
+  }
+  if (side.error) {
+    const error = document.createElement("p");
+    error.classList.add("replay-step-error");
+    error.textContent = side.error;
+    column.appendChild(error);
+  }
+  const events = document.createElement("p");
+  events.textContent = side.events.length > 0
+    ? `Events (${side.events.length}): ${side.events.map(event => event.event).join(", ")}`
+    : "No events emitted.";
+  column.appendChild(events);
+  if (side.balanceChanges && side.balanceChanges.length > 0) {
+    column.appendChild(createBalanceChangesTable(side.balanceChanges));
+  }
+  return column;
+}
+
+function renderReplayComparison(resultElem, comparison) {
+  resultElem.innerHTML = "";
+  const summary = document.createElement("p");
+  const sign = comparison.finalScoreDifference >= 0 ? "+" : "";
+  summary.textContent = `Left: ${comparison.left.attackCount} attack(s), final score ${comparison.left.finalScore} ETH. `
+    + `Right: ${comparison.right.attackCount} attack(s), final score ${comparison.right.finalScore} ETH (${sign}${comparison.finalScoreDifference}).`;
+  resultElem.appendChild(summary);
+
+  const divergence = document.createElement("p");
+  divergence.classList.add(comparison.divergence ? "compare-diverged" : "compare-identical");
+  divergence.textContent = comparison.divergence
+    ? `The score trajectories diverge at attack ${comparison.divergence.attack}: ${comparison.divergence.reason}`
+    : "The score trajectories are identical.";
+  resultElem.appendChild(divergence);
+
+  const warnings = [
+    ...comparison.left.warnings.map(warning => `Left: ${warning}`),
+    ...comparison.right.warnings.map(warning => `Right: ${warning}`)
+  ];
+  if (warnings.length > 0) {
+    resultElem.appendChild(createReplayWarnings(warnings));
+  }
+
+  const list = document.createElement("ol");
+  list.classList.add("compare-steps");
+  comparison.steps.forEach(step => {
+    const item = document.createElement("li");
+    if (comparison.divergence && step.attack >= comparison.divergence.attack) {
+      item.classList.add("compare-step-diverged");
+    }
+    const details = document.createElement("details");
+    const title = document.createElement("summary");
+    const difference = step.scoreDifference === null || step.scoreDifference === 0 ? "" : ` · Δ ${step.scoreDifference}`;
+    title.textContent = `Attack ${step.attack}: ${describeComparedScore(step.left)} | ${describeComparedScore(step.right)}${difference}`
+      + (step.codeChanged ? " · code differs" : "");
+    details.appendChild(title);
+
+    let rendered = false;
+    details.addEventListener("toggle", () => {
+      if (!details.open || rendered) return;
+      rendered = true;
+      if (step.codeDiff) {
+        details.appendChild(createCodeDiff(step.codeDiff));
+      }
+      const sides = document.createElement("div");
+      sides.classList.add("compare-sides");
+      sides.appendChild(createComparedSide("Left", step.left));
+      sides.appendChild(createComparedSide("Right", step.right));
+      details.appendChild(sides);
+    });
+    item.appendChild(details);
+    list.appendChild(item);
+  });
+  resultElem.appendChild(list);
+}
+
+// Fingerprint and compiler differences between the replay file and this server
+function createReplayWarnings(warnings) {
+  const list = document.createElement("ul");
+  list.classList.add("replay-warnings");
+  warnings.forEach(warning => {
+    const item = document.createElement("li");
+    item.textContent = warning;
+    list.appendChild(item);
+  });
+  return list;
+}
+
+// Score differences are tiny when a replay almost matches, so they are shown with all their digits
+function formatScoreDelta(delta) {
+  const text = expandExponential(String(delta));
+  return delta >= 0 ? `+${text}` : text;
+}
+
+// Result of a verified replay: recorded vs. replayed score of every attack and the final delta
+function createVerificationReport(verification) {
+  const container = document.createElement("div");
+  container.classList.add("protocol-table", "verification-report");
+
+  const header = document.createElement("h4");
+  header.classList.add(verification.passed ? "verification-passed" : "verification-failed");
+  header.textContent = verification.passed
+    ? `Verification passed: all ${verification.passedSteps} attacks reproduced their recorded scores`
+    : `Verification failed: ${verification.passedSteps} passed, ${verification.failedSteps} failed, ${verification.uncheckedSteps} not checked`;
+  container.appendChild(header);
+
+  const final = document.createElement("p");
+  final.textContent = verification.finalDelta === null
+    ? `Final score: ${verification.finalScore} ETH (no recorded score to compare with)`
+    : `Final score: ${verification.finalScore} ETH, recorded ${verification.expectedFinalScore} ETH (delta ${formatScoreDelta(verification.finalDelta)} ETH)`;
+  container.appendChild(final);
+
+  const table = document.createElement("table");
+  const headRow = document.createElement("tr");
+  ["Attack", "Recorded score", "Replayed score", "Delta", "Result"].forEach(label => {
+    const th = document.createElement("th");
+    th.textContent = label;
+    headRow.appendChild(th);
+  });
+  table.appendChild(headRow);
+
+  verification.steps.forEach(step => {
+    const row = document.createElement("tr");
+    const cells = [
+      step.index + 1,
+      step.expectedScore === null ? "-" : step.expectedScore,
+      step.score === null ? "-" : step.score,
+      step.delta === null ? "-" : formatScoreDelta(step.delta),
+      step.status
+    ];
+    cells.forEach(value => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      row.appendChild(td);
+    });
+    row.lastChild.classList.add(`verification-${step.status.replace(" ", "-")}`);
+    if (step.error) row.lastChild.title = step.error;
+    table.appendChild(row);
+  });
+  container.appendChild(table);
+  return container;
+}
+
+// One verification report for the steps of a step-through, in the shape of a verified replay's report
+function combineVerificationSteps(steps, finalScore) {
+  const count = (...statuses) => steps.filter(step => statuses.includes(step.status)).length;
+  const last = steps[steps.length - 1];
+  return {
+    passed: count('pass') === steps.length,
+    passedSteps: count('pass'),
+    failedSteps: count('fail', 'error'),
+    uncheckedSteps: count('unchecked', 'not run'),
+    finalScore,
+    expectedFinalScore: last.expectedScore,
+    finalDelta: last.expectedScore === null ? null : Number((finalScore - last.expectedScore).toFixed(9)),
+    steps
+  };
+}
+
+// Send (part of) a replay file to the server. `options` holds fromAttack/toAttack, verify, checkScores and continueOnError.
+async function requestReplay(text, options) {
+  const res = await fetch("/submit-attack", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ 
+      replayMode: true, 
+      replayFile: text, 
+      ignoreFingerprint: document.getElementById('replayIgnoreFingerprint').checked,
+      ignoreIntegrity: document.getElementById('replayIgnoreIntegrity').checked,
+      ...options
+    })
+  });
+  return res.json();
+}
+
+// Summary, warnings, verification report and timeline of a replay response
+function renderReplayResult(resultElem, data) {
+  if (data.error) {
+    resultElem.innerText = data.error;
+  } else {
+    resultElem.innerHTML = `<p>${data.message || 'Replay executed!'} Your score: ${data.score} ETH</p>`;
+  }
+  // Attacks before a failed one stay on the chain and in the history; failed attacks are rolled back
+  if (data.recordedAttacks !== undefined && data.steps) {
+    const recorded = document.createElement("p");
+    recorded.textContent = `${data.recordedAttacks} replayed attack${data.recordedAttacks !== 1 ? 's' : ''} added to your history.`
+      + (data.failedAttacks ? ` Failed attacks (${data.failedAttacks.join(", ")}) were rolled back and not recorded.` : "");
+    resultElem.appendChild(recorded);
+  }
+  if (data.warnings && data.warnings.length > 0) {
+    resultElem.appendChild(createReplayWarnings(data.warnings));
+  }
+  if (data.verification) {
+    resultElem.appendChild(createVerificationReport(data.verification));
+  }
+  if (data.steps) {
+    resultElem.appendChild(createReplayTimeline(data.steps));
+  } else if (data.revert) {
+    resultElem.appendChild(createRevertSection(data.revert));
+  }
+}
+
+function confirmVerifiedReplay() {
+  return confirm('Verifying reverts the blockchain to its initial state and clears your current history. Continue?');
+}
+
+// Optional 1-based attack range from the From/To inputs; empty inputs mean the start or end of the file
+function getReplayRange() {
+  const range = {};
+  const from = document.getElementById('replayFromAttack').value.trim();
+  const to = document.getElementById('replayToAttack').value.trim();
+  if (from) range.fromAttack = parseInt(from, 10);
+  if (to) range.toAttack = parseInt(to, 10);
+  return range;
+}
+
 // Replay functionality
 document.getElementById("submitReplay").addEventListener("click", async () => {
   const fileInput = document.getElementById('replayFileInput');
@@ -1629,6 +3061,12 @@ document.getElementById("submitReplay").addEventListener("click", async () => {
     return;
   }
   
+  const verify = document.getElementById('replayVerify').checked;
+  if (verify && !confirmVerifiedReplay()) {
+    return;
+  }
+  stopStepThrough();
+  
   const resultElem = document.getElementById("replayResult");
   resultElem.style.display = 'block';
   resultElem.innerText = "Loading replay file...";
@@ -1639,38 +3077,134 @@ document.getElementById("submitReplay").addEventListener("click", async () => {
     
     resultElem.innerText = "Executing replay...";
     
-    const res = await fetch("/submit-attack", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      credentials: 'include',
-      body: JSON.stringify({ 
-        replayMode: true, 
-        replayFile: text, 
-      })
+    const data = await requestReplay(text, {
+      verify,
+      continueOnError: document.getElementById('replayContinueOnError').checked,
+      ...getReplayRange()
     });
-    
-    const data = await res.json();
-    if (data.error) {
-      resultElem.innerText = data.error;
-    } else {
-      resultElem.innerHTML = `<p>${data.message || 'Replay executed!'} Your score: ${data.score} ETH</p>`;
-      // Update the balance display after successful replay
-      await updateUserBalance();
-      // Update the replay count badge
-      await updateHistoryCount();
+    renderReplayResult(resultElem, data);
+    // Attacks before a failed one were executed too
+    await updateUserBalance();
+    // Update the replay count badge
+    await updateHistoryCount();
+    await updateCheckpoints();
+    await updateUndoButton();
+  } catch (err) {
+    resultElem.innerText = "Error executing replay: " + err.message;
+    console.error("Error executing replay:", err);
+  }
+});
+
+// Step-through replay: one request per attack, each on top of the state the previous one left behind
+let stepThrough = null;
+
+function stopStepThrough() {
+  stepThrough = null;
+  document.getElementById('replayStepControls').style.display = 'none';
+}
+
+function updateStepControls() {
+  const nextButton = document.getElementById('replayNextStep');
+  const status = document.getElementById('replayStepStatus');
+  if (stepThrough.next > stepThrough.last) {
+    nextButton.disabled = true;
+    status.textContent = `Replayed attacks ${stepThrough.first}..${stepThrough.last}.`;
+  } else if (stepThrough.failed) {
+    // The failed attack was rolled back; later attacks would run without its effects
+    nextButton.disabled = false;
+    nextButton.textContent = `Retry attack ${stepThrough.next}`;
+    status.textContent = `Attack ${stepThrough.next} failed and was rolled back. Retry it or stop the step-through.`;
+  } else {
+    nextButton.disabled = false;
+    nextButton.textContent = `Next: attack ${stepThrough.next} of ${stepThrough.last}`;
+    status.textContent = "";
+  }
+}
+
+document.getElementById("startStepThrough").addEventListener("click", async () => {
+  const fileInput = document.getElementById('replayFileInput');
+  if (!fileInput.files[0]) {
+    alert('Please select a replay file');
+    return;
+  }
+  const verify = document.getElementById('replayVerify').checked;
+  if (verify && !confirmVerifiedReplay()) {
+    return;
+  }
+
+  const text = await fileInput.files[0].text();
+  let attackCount;
+  try {
+    attackCount = JSON.parse(text).attacks.length;
+  } catch (err) {
+    alert('Invalid replay file format');
+    return;
+  }
+  const range = getReplayRange();
+  const first = range.fromAttack || 1;
+  const last = range.toAttack || attackCount;
+  if (verify && first !== 1) {
+    alert('A verified replay starts from the initial state, so it must start at attack 1.');
+    return;
+  }
+
+  stepThrough = { text, first, last, next: first, verify, failed: false, steps: [], verificationSteps: [] };
+  const resultElem = document.getElementById("replayResult");
+  resultElem.style.display = 'block';
+  resultElem.innerText = `Ready to replay attacks ${first}..${last} one at a time.`;
+  document.getElementById('replayStepControls').style.display = 'block';
+  updateStepControls();
+});
+
+document.getElementById("replayNextStep").addEventListener("click", async () => {
+  if (!stepThrough) return;
+  const session = stepThrough;
+  const nextButton = document.getElementById('replayNextStep');
+  const resultElem = document.getElementById("replayResult");
+  nextButton.disabled = true;
+  try {
+    // Only the first step of a verified step-through reverts to the initial state; every step checks its recorded score
+    const attack = session.next;
+    const data = await requestReplay(session.text, {
+      fromAttack: attack,
+      toAttack: attack,
+      verify: session.verify && attack === 1,
+      checkScores: session.verify
+    });
+    if (stepThrough !== session) return;
+    if (data.steps) {
+      // A retried attack replaces its earlier failed attempt
+      session.steps = session.steps.filter(step => step.index !== attack - 1).concat(data.steps);
+      session.failed = data.steps.some(step => !step.success);
+      if (!session.failed) session.next++;
+    }
+    if (data.verification) {
+      session.verificationSteps = session.verificationSteps.filter(step => step.index !== attack - 1).concat(data.verification.steps);
     }
+    renderReplayResult(resultElem, {
+      ...data,
+      steps: session.steps,
+      verification: data.verification && combineVerificationSteps(session.verificationSteps, data.verification.finalScore),
+      message: `Attack ${attack} replayed.`
+    });
+    await updateUserBalance();
+    await updateHistoryCount();
+    await updateCheckpoints();
+    await updateUndoButton();
   } catch (err) {
     resultElem.innerText = "Error executing replay: " + err.message;
     console.error("Error executing replay:", err);
+  } finally {
+    if (stepThrough === session) updateStepControls();
   }
 });
 
+document.getElementById("stopStepThrough").addEventListener("click", stopStepThrough);
+
 // Download the history file
 document.getElementById("downloadHistory").addEventListener("click", async () => {
   try {
-    const response = await fetch('/download-history', {
-      credentials: 'include'
-    });
+    const response = await fetch('/download-history');
     
     if (response.ok) {
       const blob = await response.blob();
@@ -1901,6 +3435,7 @@ document.addEventListener('DOMContentLoaded', async () => {
           await updateUserBalance();
           // Update the history count badge (will show as disabled)
           await updateHistoryCount();
+          await updateUndoButton();
         } else {
           alert('Faucet failed: ' + (data.error || 'Unknown error'));
         }
@@ -1990,18 +3525,303 @@ const editor = CodeMirror.fromTextArea(document.getElementById("AttackCode"), {
   }
 });
 
+// Attack project files, each with its own CodeMirror document so undo history survives tab switches.
+// AttackContract.sol is the main file and cannot be removed.
+const MAIN_ATTACK_FILE = "AttackContract.sol";
+const attackFiles = new Map([[MAIN_ATTACK_FILE, editor.getDoc()]]);
+let activeAttackFile = MAIN_ATTACK_FILE;
+
+function getAttackFiles() {
+  const files = {};
+  attackFiles.forEach((doc, name) => {
+    files[name] = doc.getValue();
+  });
+  return files;
+}
+
+// Convert a decimal ETH amount to a wei string without floating point rounding
+function etherToWei(amount) {
+  const match = amount.trim().match(/^(\d*)(?:\.(\d{0,18}))?$/);
+  if (!match || (match[1] === "" && !match[2])) {
+    throw new Error(`Invalid deploy value: ${amount}`);
+  }
+  const whole = BigInt(match[1] || "0");
+  const fraction = BigInt((match[2] || "").padEnd(18, "0"));
+  return (whole * 10n ** 18n + fraction).toString();
+}
+
+// Entry contract, constructor arguments and deploy value; empty fields fall back to the server defaults
+function getDeploymentOptions() {
+  const options = {};
+  const contractName = document.getElementById("entryContract").value.trim();
+  const constructorArgs = document.getElementById("constructorArgs").value.trim();
+  const deployValue = document.getElementById("deployValue").value.trim();
+  if (contractName) options.contractName = contractName;
+  if (constructorArgs) options.constructorArgs = constructorArgs;
+  if (deployValue) options.value = etherToWei(deployValue);
+  return options;
+}
+
+function renderFileTabs() {
+  const container = document.getElementById("fileTabs");
+  container.innerHTML = "";
+
+  attackFiles.forEach((doc, name) => {
+    const tab = document.createElement("div");
+    tab.classList.add("file-tab");
+    if (name === activeAttackFile) tab.classList.add("active");
+    tab.title = name;
+
+    const label = document.createElement("span");
+    label.textContent = name;
+    tab.appendChild(label);
+    tab.addEventListener("click", () => openAttackFile(name));
+
+    if (name !== MAIN_ATTACK_FILE) {
+      const close = document.createElement("span");
+      close.classList.add("file-tab-close");
+      close.textContent = "×";
+      close.title = `Remove ${name}`;
+      close.addEventListener("click", (e) => {
+        e.stopPropagation();
+        removeAttackFile(name);
+      });
+      tab.appendChild(close);
+    }
+    container.appendChild(tab);
+  });
+
+  const addButton = document.createElement("div");
+  addButton.classList.add("file-tab", "file-tab-add");
+  addButton.textContent = "+";
+  addButton.title = "Add a file. Import it from other files by relative path, e.g. import \"./helpers/FlashHelper.sol\";";
+  addButton.addEventListener("click", addAttackFile);
+  container.appendChild(addButton);
+}
+
+function openAttackFile(name) {
+  activeAttackFile = name;
+  editor.swapDoc(attackFiles.get(name));
+  renderFileTabs();
+  editor.focus();
+}
+
+function addAttackFile() {
+  const name = prompt("File name (relative path ending in .sol, e.g. helpers/FlashHelper.sol):");
+  if (!name) return;
+  const trimmed = name.trim();
+  if (!/^[A-Za-z0-9_\-]+(\/[A-Za-z0-9_\-.]+)*\.sol$/.test(trimmed) || trimmed.split("/").includes("..")) {
+    alert("Invalid file name. Use a relative path ending in .sol, e.g. helpers/FlashHelper.sol");
+    return;
+  }
+  if (attackFiles.has(trimmed)) {
+    openAttackFile(trimmed);
+    return;
+  }
+  const template = "// SPDX-License-Identifier: MIT\npragma solidity ^0.8.0;\n\n";
+  attackFiles.set(trimmed, CodeMirror.Doc(template, "solidity"));
+  openAttackFile(trimmed);
+  scheduleDraftSave();
+}
+
+function removeAttackFile(name) {
+  if (!confirm(`Remove ${name}? Its contents will be lost.`)) return;
+  attackFiles.delete(name);
+  if (activeAttackFile === name) {
+    openAttackFile(MAIN_ATTACK_FILE);
+  } else {
+    renderFileTabs();
+  }
+  scheduleDraftSave();
+}
+
+// The editor contents are autosaved with the workspace, so they survive page reloads and server restarts
+const DRAFT_SAVE_DELAY_MS = 2000;
+let draftSaveTimer = null;
+
+function scheduleDraftSave() {
+  clearTimeout(draftSaveTimer);
+  draftSaveTimer = setTimeout(saveDraft, DRAFT_SAVE_DELAY_MS);
+}
+
+async function saveDraft() {
+  try {
+    await fetch("/workspace/draft", {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        files: getAttackFiles(),
+        entryContract: document.getElementById("entryContract").value,
+        constructorArgs: document.getElementById("constructorArgs").value,
+        deployValue: document.getElementById("deployValue").value
+      })
+    });
+  } catch (error) {
+    console.error("Error saving draft:", error);
+  }
+}
+
+// Replace the editor files and deployment options with a saved draft
+function applyDraft(draft) {
+  attackFiles.forEach((doc, name) => {
+    if (name !== MAIN_ATTACK_FILE) attackFiles.delete(name);
+  });
+  Object.entries(draft.files).forEach(([name, content]) => {
+    if (name === MAIN_ATTACK_FILE) {
+      attackFiles.get(MAIN_ATTACK_FILE).setValue(content);
+    } else {
+      attackFiles.set(name, CodeMirror.Doc(content, "solidity"));
+    }
+  });
+  document.getElementById("entryContract").value = draft.entryContract || "";
+  document.getElementById("constructorArgs").value = draft.constructorArgs || "";
+  document.getElementById("deployValue").value = draft.deployValue || "";
+  openAttackFile(MAIN_ATTACK_FILE);
+}
+
+// Returns true when the workspace had a draft and it was loaded into the editor
+async function restoreDraft() {
+  try {
+    const response = await fetch("/workspace/draft");
+    const { draft } = await response.json();
+    if (!draft) return false;
+    applyDraft(draft);
+    return true;
+  } catch (error) {
+    console.error("Error loading draft:", error);
+    return false;
+  }
+}
+
+// Ids of this browser's workspace saves. The server only offers saves whose id is presented, so other sessions' saves stay private.
+const SAVED_WORKSPACE_IDS_KEY = 'ctfSavedWorkspaceIds';
+
+function getRememberedSaveIds() {
+  try {
+    const ids = JSON.parse(localStorage.getItem(SAVED_WORKSPACE_IDS_KEY));
+    return Array.isArray(ids) ? ids : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Offer the workspaces this browser saved before the last server restart; restoring one replays its history
+async function offerSavedWorkspaces() {
+  const container = document.getElementById("savedWorkspaces");
+  let saved, current;
+  try {
+    const ids = encodeURIComponent(getRememberedSaveIds().join(","));
+    const response = await fetch(`/saved-workspaces?ids=${ids}`);
+    ({ saved, current } = await response.json());
+  } catch (error) {
+    console.error("Error listing saved workspaces:", error);
+    return;
+  }
+  // Forget saves that were restored, discarded or deleted, and remember the current session's one
+  localStorage.setItem(SAVED_WORKSPACE_IDS_KEY, JSON.stringify([current, ...(saved || []).map(workspace => workspace.id)]));
+  container.innerHTML = "";
+  if (!saved || saved.length === 0) {
+    container.style.display = "none";
+    return;
+  }
+
+  const title = document.createElement("h3");
+  title.textContent = "Restore a saved workspace?";
+  container.appendChild(title);
+  const note = document.createElement("p");
+  note.textContent = "These workspaces were saved before the server restarted. Restoring one replays its attacks from the initial state and replaces your current state and history.";
+  container.appendChild(note);
+
+  saved.forEach(workspace => {
+    const row = document.createElement("div");
+    row.classList.add("saved-workspace");
+    const label = document.createElement("span");
+    const mode = workspace.isNormalMode ? "Normal Mode" : "Exploration Mode";
+    const score = workspace.score === null ? "" : `, score ${workspace.score} ETH`;
+    label.textContent = `Saved ${new Date(workspace.savedAt).toLocaleString()}: ${workspace.attacks} attack(s)${score}, ${mode}${workspace.hasDraft ? ", editor draft" : ""}`;
+    row.appendChild(label);
+
+    const restoreButton = document.createElement("button");
+    restoreButton.textContent = "Restore";
+    restoreButton.addEventListener("click", async () => {
+      restoreButton.disabled = true;
+      label.textContent = `Replaying ${workspace.attacks} attack(s)...`;
+      try {
+        const response = await fetch(`/saved-workspaces/${workspace.id}/restore`, { method: "POST" });
+        const data = await response.json();
+        if (data.error) {
+          alert(`Restore failed: ${data.error}`);
+        }
+        // Mode, balances, history count and draft are all re-read on load
+        window.location.reload();
+      } catch (error) {
+        alert("Restore failed: " + error.message);
+        restoreButton.disabled = false;
+      }
+    });
+    row.appendChild(restoreButton);
+
+    const discardButton = document.createElement("button");
+    discardButton.textContent = "Discard";
+    discardButton.addEventListener("click", async () => {
+      if (!confirm("Delete this saved workspace?")) return;
+      await fetch(`/saved-workspaces/${workspace.id}`, { method: "DELETE" });
+      offerSavedWorkspaces();
+    });
+    row.appendChild(discardButton);
+    container.appendChild(row);
+  });
+  container.style.display = "block";
+}
+
+// Underlines of the last compilation, cleared before new ones are drawn
+let compilerMarks = [];
+
+function markCompilerMessages(compilerMessages) {
+  compilerMarks.forEach(mark => mark.clear());
+  compilerMarks = [];
+  compilerMessages.forEach(compilerMessage => {
+    const doc = attackFiles.get(compilerMessage.file);
+    if (!doc || !compilerMessage.line) return;
+    const from = { line: compilerMessage.line - 1, ch: compilerMessage.column - 1 };
+    let to = { line: compilerMessage.endLine - 1, ch: compilerMessage.endColumn - 1 };
+    // Zero-length locations underline the rest of the line
+    if (to.line === from.line && to.ch <= from.ch) {
+      to = { line: from.line, ch: doc.getLine(from.line).length };
+    }
+    compilerMarks.push(doc.markText(from, to, {
+      className: `cm-compiler-${compilerMessage.severity}`,
+      title: `${compilerMessage.type}: ${compilerMessage.message}`
+    }));
+  });
+}
+
 async function loadDefaultCode() {
+  // A draft saved with the workspace takes precedence over the default attack
+  if (await restoreDraft()) return;
   try {
     const response = await fetch("/default.sol");
     if (!response.ok) {
       throw new Error("Failed to fetch default.sol: " + response.statusText);
     }
     const code = await response.text();
-    editor.setValue(code);
+    attackFiles.get(MAIN_ATTACK_FILE).setValue(code);
   } catch (error) {
     console.error("Error loading default code:", error);
-    editor.setValue("// Could not load default.sol\n");
+    attackFiles.get(MAIN_ATTACK_FILE).setValue("// Could not load default.sol\n");
   }
 }
 
-document.addEventListener("DOMContentLoaded", loadDefaultCode);
+document.addEventListener("DOMContentLoaded", () => {
+  renderFileTabs();
+  loadDefaultCode();
+  offerSavedWorkspaces();
+
+  // Loading a draft or the default code uses setValue and is not saved back
+  editor.on("change", (cm, change) => {
+    if (change.origin !== "setValue") scheduleDraftSave();
+  });
+  ["entryContract", "constructorArgs", "deployValue"].forEach(id => {
+    document.getElementById(id).addEventListener("input", scheduleDraftSave);
+  });
+});
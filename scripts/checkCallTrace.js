@@ -0,0 +1,140 @@
+// scripts/checkCallTrace.js
+// Checks backend/callTrace.js against known transactions: a deployment that creates a nested contract,
+// and a call with a nested call that returns and a nested call that reverts and is caught.
+// Runs an in-process Hardhat network behind a JSON-RPC server on a free port, so the web server can keep running.
+//
+// Usage: node scripts/checkCallTrace.js
+// Exits with 1 if a call tree differs from the expected one.
+const assert = require('assert');
+const solc = require('solc');
+const hre = require('hardhat');
+const { TASK_NODE_CREATE_SERVER } = require('hardhat/builtin-tasks/task-names');
+const { buildCallTree } = require('../backend/callTrace');
+
+const { ethers } = hre;
+
+const FIXTURE = `// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+contract Inner {
+    event Pinged(uint256 value);
+
+    function ping(uint256 value) external returns (uint256) {
+        emit Pinged(value);
+        return value + 1;
+    }
+
+    function fail() external pure {
+        revert("inner failure");
+    }
+}
+
+contract Outer {
+    Inner public inner;
+
+    constructor() {
+        inner = new Inner();
+    }
+
+    function run() external returns (uint256 result) {
+        result = inner.ping(41);
+        try inner.fail() {} catch {}
+    }
+}
+`;
+
+function compileFixture() {
+  const output = JSON.parse(solc.compile(JSON.stringify({
+    language: 'Solidity',
+    sources: { 'Fixture.sol': { content: FIXTURE } },
+    settings: { outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } } }
+  })));
+  const errors = (output.errors || []).filter(error => error.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(errors.map(error => error.formattedMessage).join('\n'));
+  }
+  return output.contracts['Fixture.sol'];
+}
+
+// The parts of a frame that do not depend on gas costs, with lowercase addresses
+function describeFrame({ type, from, to, input, output, success, calls }) {
+  return { type, from: from.toLowerCase(), to: to.toLowerCase(), input, output, success, calls: calls.map(describeFrame) };
+}
+
+async function traceTransaction(rpcUrl, txHash) {
+  const tx = await ethers.provider.getTransaction(txHash);
+  const contractAddress = tx.to ? null : (await ethers.provider.getTransactionReceipt(txHash)).contractAddress;
+  return buildCallTree({
+    rpcUrl,
+    tx: { hash: tx.hash, from: tx.from, to: tx.to, data: tx.data, value: tx.value, contractAddress },
+    getCode: (address) => ethers.provider.getCode(address, tx.blockNumber)
+  });
+}
+
+async function main() {
+  const server = await hre.run(TASK_NODE_CREATE_SERVER, { hostname: '127.0.0.1', port: 0, provider: hre.network.provider });
+  const { port } = await server.listen();
+  const rpcUrl = `http://127.0.0.1:${port}`;
+  try {
+    const { Inner, Outer } = compileFixture();
+    const [signer] = await ethers.getSigners();
+    const innerInterface = new ethers.utils.Interface(Inner.abi);
+    const outerInterface = new ethers.utils.Interface(Outer.abi);
+
+    const outer = await new ethers.ContractFactory(Outer.abi, Outer.evm.bytecode.object, signer).deploy();
+    await outer.deployed();
+    const innerAddress = (await outer.inner()).toLowerCase();
+    const outerAddress = outer.address.toLowerCase();
+    const from = signer.address.toLowerCase();
+
+    // The deployment: the init code runs as a CREATE and creates Inner from inside the constructor
+    const deployment = describeFrame(await traceTransaction(rpcUrl, outer.deployTransaction.hash));
+    assert.strictEqual(deployment.type, 'CREATE');
+    assert.strictEqual(deployment.to, outerAddress);
+    assert.strictEqual(deployment.success, true);
+    assert.deepStrictEqual(deployment.calls.map(({ type, from: creator, to, success }) => ({ type, from: creator, to, success })), [
+      { type: 'CREATE', from: outerAddress, to: innerAddress, success: true }
+    ]);
+
+    // The call: ping returns 42, fail reverts with a reason string that Outer catches
+    const receipt = await (await outer.run()).wait();
+    const tree = describeFrame(await traceTransaction(rpcUrl, receipt.transactionHash));
+    assert.deepStrictEqual(tree, {
+      type: 'CALL',
+      from,
+      to: outerAddress,
+      input: outerInterface.encodeFunctionData('run'),
+      output: outerInterface.encodeFunctionResult('run', [42]),
+      success: true,
+      calls: [
+        {
+          type: 'CALL',
+          from: outerAddress,
+          to: innerAddress,
+          input: innerInterface.encodeFunctionData('ping', [41]),
+          output: innerInterface.encodeFunctionResult('ping', [42]),
+          success: true,
+          calls: []
+        },
+        {
+          // fail() is pure, so Solidity calls it with STATICCALL
+          type: 'STATICCALL',
+          from: outerAddress,
+          to: innerAddress,
+          input: innerInterface.encodeFunctionData('fail'),
+          output: new ethers.utils.Interface(['function Error(string)']).encodeFunctionData('Error', ['inner failure']),
+          success: false,
+          calls: []
+        }
+      ]
+    });
+    console.log('Call trace check passed');
+  } finally {
+    await server.close();
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
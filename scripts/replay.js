@@ -0,0 +1,92 @@
+// scripts/replay.js
+// Replays a history file without the browser: starts a fresh Hardhat node, runs setupInitialState.js,
+// replays the attacks like "Execute Replay" with "Verify scores" does and prints per-step and final scores as JSON.
+//
+// Usage: node scripts/replay.js <replay.json> [--to <attack>] [--continue-on-error] [--ignore-fingerprint] [--ignore-integrity]
+//   --to                  stop after this attack (1-based)
+//   --continue-on-error   keep replaying after a failed attack
+//   --ignore-fingerprint  replay files recorded against a different setup
+//   --ignore-integrity    replay files that were edited or signed by an untrusted key
+// Exits with 1 if an attack fails or a score differs from the one recorded in the file.
+// The script starts its own node on port 8545, so stop the server first.
+const fs = require('fs');
+const { redirectLogsToStderr, replayOnFreshNode } = require('./replayHelper');
+
+const writeReport = redirectLogsToStderr();
+
+const USAGE = "Usage: node scripts/replay.js <replay.json> [--to <attack>] [--continue-on-error] [--ignore-fingerprint] [--ignore-integrity]";
+
+function parseArguments(args) {
+  const options = { file: null, toAttack: undefined, continueOnError: false, ignoreFingerprint: false, ignoreIntegrity: false };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--to') {
+      options.toAttack = Number(args[++i]);
+    } else if (args[i] === '--continue-on-error') {
+      options.continueOnError = true;
+    } else if (args[i] === '--ignore-fingerprint') {
+      options.ignoreFingerprint = true;
+    } else if (args[i] === '--ignore-integrity') {
+      options.ignoreIntegrity = true;
+    } else if (!options.file && !args[i].startsWith('--')) {
+      options.file = args[i];
+    } else {
+      throw new Error(`Unknown argument '${args[i]}'. ${USAGE}`);
+    }
+  }
+  if (!options.file) {
+    throw new Error(USAGE);
+  }
+  return options;
+}
+
+// One line per attack: what the file recorded, what the replay scored and whether they agree
+function describeSteps(steps, verification) {
+  return verification.steps.map(({ index, status, expectedScore, score, delta }) => {
+    const step = steps.find(replayed => replayed.index === index);
+    return {
+      attack: index + 1,
+      status,
+      contractName: step ? step.contractName : null,
+      expectedScore,
+      score,
+      delta,
+      gasUsed: step && step.gas ? step.gas.totalGasUsed : null,
+      error: step ? step.error : undefined
+    };
+  });
+}
+
+async function main() {
+  const { file, ...options } = parseArguments(process.argv.slice(2));
+  const replayData = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const { body } = await replayOnFreshNode(replayData, { ...options, verify: true });
+
+  // Refused replays and invalid files have no steps
+  if (!body.verification) {
+    return { file, success: false, error: body.error, warnings: body.warnings || [] };
+  }
+  const { verification } = body;
+  return {
+    file,
+    success: verification.failedSteps === 0,
+    error: body.error,
+    finalScore: verification.finalScore,
+    expectedFinalScore: verification.expectedFinalScore,
+    finalDelta: verification.finalDelta,
+    passedSteps: verification.passedSteps,
+    failedSteps: verification.failedSteps,
+    uncheckedSteps: verification.uncheckedSteps,
+    steps: describeSteps(body.steps, verification),
+    warnings: body.warnings
+  };
+}
+
+main()
+  .then(report => {
+    writeReport(JSON.stringify(report, null, 2) + '\n');
+    process.exit(report.success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,47 @@
+// scripts/replayHelper.js
+// Shared by the command-line replay tools: they replay files on a fresh Hardhat node through the server's own code.
+const net = require('net');
+
+const NODE_PORT = 8545;
+
+/**
+ * Sends everything that is written to stdout (node, setup and replay logs) to stderr,
+ * so the tool's JSON report is the only output on stdout.
+ * @returns {function(string): void} Writes the report to the real stdout.
+ */
+function redirectLogsToStderr() {
+  const writeStdout = process.stdout.write.bind(process.stdout);
+  process.stdout.write = process.stderr.write.bind(process.stderr);
+  console.log = console.error;
+  return text => writeStdout(text);
+}
+
+// A running server (or any other node) on the port would receive the replay instead of the fresh node
+function isPortInUse(port) {
+  return new Promise(resolve => {
+    const socket = net.connect(port, '127.0.0.1');
+    socket.once('connect', () => {
+      socket.destroy();
+      resolve(true);
+    });
+    socket.once('error', () => resolve(false));
+  });
+}
+
+/**
+ * Starts a fresh node, deploys the initial state and replays a file like POST /submit-attack in replay mode.
+ * @param {object} replayData - A parsed replay file.
+ * @param {object} options - Replay options, see runReplay in backend/server.js.
+ * @returns {Promise<{status: number, body: object}>} What the server would have answered.
+ */
+async function replayOnFreshNode(replayData, options) {
+  if (await isPortInUse(NODE_PORT)) {
+    throw new Error(`Port ${NODE_PORT} is already in use; stop the server before replaying from the command line`);
+  }
+  // Required here because requiring the server loads Hardhat
+  const { startChain, createWorkspace, getAttacker, runReplay } = require('../backend/server');
+  await startChain();
+  return runReplay(replayData, await getAttacker(), createWorkspace('command-line'), options);
+}
+
+module.exports = { redirectLogsToStderr, replayOnFreshNode };
@@ -0,0 +1,78 @@
+// scripts/verifyReplay.js
+// Checks that a downloaded replay file is intact and that its scores are real:
+// the hash chain and signature are verified first, then every attack is replayed on a fresh Hardhat node
+// and its score compared with the one recorded in the file.
+//
+// Usage: node scripts/verifyReplay.js <replay.json> [--public-key <key.pem>]... [--allow-unsigned] [--skip-replay]
+//   --public-key      only accept files signed with this key (GET /history-public-key of the server); repeatable.
+//                     Without it, files signed with this checkout's key (HISTORY_SIGNING_KEY) or HISTORY_TRUSTED_KEYS are accepted
+//   --allow-unsigned  accept files without a hash chain or signature, e.g. downloaded before files were signed
+//   --skip-replay     only check the hash chain and signature
+// Prints a JSON report and exits with 1 if anything does not check out.
+// The script starts its own node on port 8545, so stop the server first.
+const fs = require('fs');
+const { loadTrustedPublicKeys, verifyHistoryIntegrity } = require('../backend/historyIntegrity');
+const { redirectLogsToStderr, replayOnFreshNode } = require('./replayHelper');
+
+const writeReport = redirectLogsToStderr();
+
+function parseArguments(args) {
+  const options = { file: null, publicKeys: [], allowUnsigned: false, skipReplay: false };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--public-key') {
+      const keyFile = args[++i];
+      if (!keyFile) throw new Error("--public-key needs a PEM file");
+      options.publicKeys.push(fs.readFileSync(keyFile, 'utf8'));
+    } else if (args[i] === '--allow-unsigned') {
+      options.allowUnsigned = true;
+    } else if (args[i] === '--skip-replay') {
+      options.skipReplay = true;
+    } else if (!options.file && !args[i].startsWith('--')) {
+      options.file = args[i];
+    } else {
+      throw new Error(`Unknown argument '${args[i]}'`);
+    }
+  }
+  if (!options.file) {
+    throw new Error("Usage: node scripts/verifyReplay.js <replay.json> [--public-key <key.pem>]... [--allow-unsigned] [--skip-replay]");
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArguments(process.argv.slice(2));
+  const replayData = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+
+  const integrity = verifyHistoryIntegrity(replayData, options.publicKeys.length > 0 ? options.publicKeys : loadTrustedPublicKeys());
+  if (!options.allowUnsigned) {
+    if (!integrity.sealed) integrity.problems.push("The file carries no hash chain.");
+    if (!integrity.signed) integrity.problems.push("The file is not signed.");
+    integrity.valid = integrity.problems.length === 0;
+  }
+  const report = { file: options.file, integrity };
+
+  if (!options.skipReplay) {
+    // The integrity was checked above against the keys given here, which the replay would not know about
+    const { status, body } = await replayOnFreshNode(replayData, { verify: true, ignoreIntegrity: true });
+    report.replay = {
+      success: status === 200,
+      error: body.error,
+      score: body.score,
+      warnings: body.warnings,
+      verification: body.verification
+    };
+  }
+
+  report.valid = integrity.valid && (!report.replay || (report.replay.success && report.replay.verification.passed));
+  return report;
+}
+
+main()
+  .then(report => {
+    writeReport(JSON.stringify(report, null, 2) + '\n');
+    process.exit(report.valid ? 0 : 1);
+  })
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });